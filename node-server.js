@@ -0,0 +1,367 @@
+// Локальный сервер на Node: та же симуляция и тот же протокол, но без Cloudflare.
+// Комнаты живут в памяти процесса, статистика и записи матчей не ведутся,
+// а возобновление сессии не поддерживается - клиент просто входит заново.
+// Запуск: npm start, затем http://localhost:8787
+import http from 'node:http';
+import { randomUUID, randomInt } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import worker from './worker.js';
+import { PHYSICS, Simulation, playerMeta, matchSettings } from './simulation.js';
+import {
+    CLOSE_ROOM_FULL, CLOSE_ROOM_NOT_FOUND, CLOSE_POLICY_VIOLATION,
+    INTERPOLATION_DELAY, MAX_MESSAGE_SIZE, CLIENT_MESSAGES, SPECTATOR_MESSAGES, RATE_LIMITS, validateMessage,
+    createBucket, takeToken, takeInputs, queueInput, sanitizeText, sanitizeName, SNAPSHOT_HISTORY, encodeSnapshot, worldSnapshot
+} from './protocol.js';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DEFAULT_ROOM_CODE = 'MAIN';
+const MAX_PLAYERS = 16;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PING_INTERVAL = 2000;
+const MAX_CATCHUP_STEPS = 5;
+
+// Комната с симуляцией: сокеты, снапшоты и часы; правила целиком в Simulation
+class LocalRoom {
+    constructor(code, config) {
+        this.code = code;
+        this.config = config;
+        this.sessions = new Map();
+        this.snapshotSeq = 0;
+        this.snapshots = new Map();
+        this.lastPing = 0;
+        this.lastStep = 0;
+        this.timer = null;
+        this.sim = new Simulation(config, {
+            seed: randomInt(2 ** 32),
+            hooks: {
+                broadcast: message => this.broadcast(message),
+                send: (playerId, message) => this.send(playerId, message)
+            }
+        });
+    }
+
+    info() {
+        const humans = this.sim.humanCount();
+        return {
+            code: this.code,
+            name: this.config.name,
+            isPrivate: this.config.isPrivate,
+            maxPlayers: this.config.maxPlayers,
+            mode: this.config.mode,
+            map: this.config.map,
+            timeLimit: this.config.timeLimit,
+            scoreLimit: this.config.scoreLimit,
+            players: humans,
+            bots: Object.keys(this.sim.players).length - humans
+        };
+    }
+
+    worldInfo() {
+        return {
+            players: Object.values(this.sim.players).map(playerMeta),
+            room: this.info(),
+            match: this.sim.matchInfo(),
+            map: this.sim.mapInfo(),
+            flags: this.sim.flagInfo(),
+            pickups: this.sim.pickupInfo()
+        };
+    }
+
+    accept(webSocket, spectate) {
+        const session = {
+            webSocket,
+            id: randomUUID(),
+            spectator: spectate,
+            lastInput: null,
+            inputs: [],
+            inputBudget: 0,
+            ackSeq: 0,
+            rtt: 0,
+            buckets: {
+                input: createBucket(RATE_LIMITS.input),
+                action: createBucket(RATE_LIMITS.action),
+                control: createBucket(RATE_LIMITS.control),
+                violations: createBucket(RATE_LIMITS.violations)
+            }
+        };
+        this.sessions.set(session.id, session);
+        webSocket.on('message', (data, isBinary) => this.receive(session, isBinary ? null : data.toString()));
+        webSocket.on('close', () => this.disconnect(session));
+        // Битый кадр (неверный UTF-8, превышен maxPayload) - ошибка сокета, а не всего сервера
+        webSocket.on('error', e => {
+            console.warn('WebSocket error', session.id, e.code || e.message);
+            webSocket.terminate();
+            this.disconnect(session);
+        });
+        
+        if (spectate) this.send(session.id, { type: 'init', id: null, spectator: true, ...this.worldInfo() });
+        this.start();
+    }
+
+    // Те же проверки, что и у GameRoom: схема, лимиты частоты и запас нарушений
+    receive(session, message) {
+        if (message === null) return this.rejectMessage(session, 'binary_not_supported');
+        if (message.length > MAX_MESSAGE_SIZE) return this.rejectMessage(session, 'too_large');
+        
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (e) {
+            return this.rejectMessage(session, 'bad_json');
+        }
+        
+        const reason = validateMessage(data);
+        if (reason) return this.rejectMessage(session, reason);
+        if (session.spectator && !SPECTATOR_MESSAGES.includes(data.type)) return this.rejectMessage(session, 'spectator');
+        
+        const bucket = CLIENT_MESSAGES[data.type].bucket;
+        if (!takeToken(session.buckets[bucket], RATE_LIMITS[bucket])) return this.rejectMessage(session, 'rate_limited');
+        
+        this.handleMessage(session, data);
+    }
+
+    rejectMessage(session, reason) {
+        if (!takeToken(session.buckets.violations, RATE_LIMITS.violations)) {
+            rejectSocket(session.webSocket, CLOSE_POLICY_VIOLATION, 'policy_violation', 'Слишком много некорректных сообщений');
+            return;
+        }
+        this.send(session.id, { type: 'error', code: 'invalid_message', reason });
+    }
+
+    handleMessage(session, data) {
+        const playerId = session.id;
+        const player = this.sim.players[playerId];
+        
+        switch (data.type) {
+            case 'join':
+                if (player) return;
+                if (this.sim.humanCount() >= this.config.maxPlayers) {
+                    rejectSocket(session.webSocket, CLOSE_ROOM_FULL, 'room_full', 'Комната заполнена');
+                    return;
+                }
+                
+                const joined = this.sim.addPlayer(playerId, sanitizeName(data.name), null);
+                this.send(playerId, {
+                    type: 'init',
+                    id: joined.id,
+                    nid: joined.nid,
+                    inputSeq: joined.inputSeq,
+                    ...this.worldInfo(),
+                    loadout: this.sim.loadoutInfo(joined)
+                });
+                this.broadcast({ type: 'join', player: playerMeta(joined) });
+                break;
+            
+            case 'resume':
+                this.send(playerId, { type: 'error', code: 'resume_failed', message: 'Сессия истекла' });
+                break;
+            
+            case 'leave':
+                this.sim.removePlayer(playerId);
+                break;
+            
+            case 'input':
+                this.acknowledge(session, data.ack);
+                queueInput(session, data);
+                break;
+            
+            case 'ack':
+                this.acknowledge(session, data.seq);
+                break;
+            
+            case 'shoot':
+                this.sim.playerShoot(playerId, data.charge, session.rtt / 2 + INTERPOLATION_DELAY);
+                break;
+            
+            case 'weapon':
+                this.sim.selectWeapon(player, data.weapon);
+                break;
+            
+            case 'pong':
+                if (data.t <= Date.now()) {
+                    const rtt = Date.now() - data.t;
+                    session.rtt = session.rtt ? session.rtt * 0.8 + rtt * 0.2 : rtt;
+                }
+                break;
+        }
+    }
+
+    acknowledge(session, seq) {
+        if (Number.isInteger(seq) && seq > session.ackSeq && seq <= this.snapshotSeq) {
+            session.ackSeq = seq;
+        }
+    }
+
+    // Отключившийся сразу покидает комнату; пустая комната останавливает часы
+    disconnect(session) {
+        if (!this.sessions.delete(session.id)) return;
+        this.sim.removePlayer(session.id);
+        if (this.sessions.size === 0) this.stop();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.lastStep = Date.now();
+        this.timer = setInterval(() => this.tick(), PHYSICS.tickMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.sim.removeBots();
+    }
+
+    tick() {
+        const now = Date.now();
+        const steps = Math.min(MAX_CATCHUP_STEPS, Math.floor((now - this.lastStep) / PHYSICS.tickMs));
+        this.lastStep = steps === MAX_CATCHUP_STEPS ? now : this.lastStep + steps * PHYSICS.tickMs;
+        for (let i = 0; i < steps; i++) {
+            const inputs = {};
+            for (const [playerId, session] of this.sessions) {
+                const taken = takeInputs(session);
+                if (taken.length) inputs[playerId] = taken;
+            }
+            this.sim.step(inputs);
+        }
+        if (steps) this.broadcastSnapshot();
+        
+        if (now - this.lastPing >= PING_INTERVAL) {
+            this.lastPing = now;
+            this.broadcast({ type: 'ping', t: now });
+        }
+    }
+
+    broadcastSnapshot() {
+        const seq = ++this.snapshotSeq;
+        const snapshot = worldSnapshot(this.sim);
+        this.snapshots.set(seq, snapshot);
+        this.snapshots.delete(seq - SNAPSHOT_HISTORY);
+        
+        const encoded = new Map();
+        for (const session of this.sessions.values()) {
+            const baseSeq = this.snapshots.has(session.ackSeq) ? session.ackSeq : 0;
+            if (!encoded.has(baseSeq)) {
+                encoded.set(baseSeq, encodeSnapshot(seq, snapshot, baseSeq, this.snapshots.get(baseSeq)));
+            }
+            session.webSocket.send(encoded.get(baseSeq));
+        }
+    }
+
+    send(playerId, message) {
+        const session = this.sessions.get(playerId);
+        if (session) session.webSocket.send(JSON.stringify(message));
+    }
+
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        for (const session of this.sessions.values()) {
+            session.webSocket.send(data);
+        }
+    }
+}
+
+function rejectSocket(webSocket, code, reason, message) {
+    webSocket.send(JSON.stringify({ type: 'error', code: reason, message }));
+    webSocket.close(code, reason);
+}
+
+const rooms = new Map();
+
+function createRoom(code, body) {
+    const room = new LocalRoom(code, {
+        name: sanitizeText(body.name, 24) || 'Комната ' + code,
+        isPrivate: !!body.isPrivate,
+        maxPlayers: Math.max(2, Math.min(32, parseInt(body.maxPlayers, 10) || MAX_PLAYERS)),
+        ...matchSettings(body),
+        createdAt: Date.now()
+    });
+    rooms.set(code, room);
+    return room;
+}
+
+function generateRoomCode() {
+    let code;
+    do {
+        code = Array.from({ length: 6 }, () => ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+function sendJson(response, body, status = 200) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise(resolve => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+createRoom(DEFAULT_ROOM_CODE, { name: 'Главная арена' });
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    
+    // Страница игры та же, что отдает воркер
+    if (url.pathname === '/' || url.pathname === '/index.html') {
+        const page = await worker.fetch(new Request(url));
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(await page.text());
+        return;
+    }
+    
+    if (url.pathname === '/api/rooms' && request.method === 'GET') {
+        const list = [...rooms.values()].map(room => room.info()).filter(info => !info.isPrivate);
+        sendJson(response, { rooms: list.map(({ code, name, players, maxPlayers, mode }) => ({ code, name, players, maxPlayers, mode })) });
+        return;
+    }
+    if (url.pathname === '/api/rooms' && request.method === 'POST') {
+        sendJson(response, createRoom(generateRoomCode(), await readBody(request)).info(), 201);
+        return;
+    }
+    
+    // Глобальной статистики и архива записей локально нет
+    if (url.pathname === '/api/leaderboard') {
+        sendJson(response, { period: url.searchParams.get('period') || 'all', players: [] });
+        return;
+    }
+    if (url.pathname === '/api/replays') {
+        sendJson(response, { replays: [] });
+        return;
+    }
+    
+    response.writeHead(404);
+    response.end('Not found');
+});
+
+// Слишком длинное сообщение обрывает соединение еще до буферизации
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== '/ws') {
+        socket.destroy();
+        return;
+    }
+    
+    sockets.handleUpgrade(request, socket, head, webSocket => {
+        const room = rooms.get(String(url.searchParams.get('room') || DEFAULT_ROOM_CODE).trim().toUpperCase());
+        if (!room) {
+            webSocket.on('error', () => webSocket.terminate());
+            rejectSocket(webSocket, CLOSE_ROOM_NOT_FOUND, 'room_not_found', 'Комната не найдена');
+            return;
+        }
+        room.accept(webSocket, url.searchParams.get('spectate') === '1');
+    });
+});
+
+server.listen(PORT, () => console.log('Сервер запущен: http://localhost:' + PORT));
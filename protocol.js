@@ -0,0 +1,338 @@
+// Протокол между клиентом и сервером: схемы сообщений клиента, лимиты и бинарные снапшоты.
+// Общий для воркера и Node-хоста, поэтому не знает ни о Durable Objects, ни о сокетах
+import { PHYSICS, WEAPON_TYPES } from './simulation.js';
+
+// Коды закрытия WebSocket, после которых клиент не переподключается
+export const CLOSE_REPLACED = 4001; // игрок переподключился с другого сокета
+export const CLOSE_ROOM_FULL = 4003;
+export const CLOSE_ROOM_NOT_FOUND = 4004;
+export const CLOSE_KICKED = 4005;  // игрока исключил оператор
+export const CLOSE_BANNED = 4006;  // вход в комнату запрещен оператором
+export const CLOSE_POLICY_VIOLATION = 1008; // сокет отключен за нарушение протокола
+
+// Ввод игроков
+export const MAX_INPUTS_PER_TICK = 3;   // запас на неровную доставку: столько вводов сервер догоняет за тик
+export const MAX_PENDING_INPUTS = 30;
+export const INTERPOLATION_DELAY = 100; // клиент показывает чужие корабли в прошлом на столько мс
+
+// Протокол клиента: схема каждого сообщения и лимиты частоты
+export const MAX_MESSAGE_SIZE = 1024;
+const MAX_NAME_LENGTH = 15;
+export const DEFAULT_PLAYER_NAME = 'Пилот';
+
+export const CLIENT_MESSAGES = {
+    join: {
+        bucket: 'control',
+        fields: {
+            name: { type: 'string', maxLength: 64, optional: true },
+            profileKey: { type: 'string', maxLength: 32, pattern: /^[0-9a-f]{32}$/, optional: true }
+        }
+    },
+    resume: { bucket: 'control', fields: { token: { type: 'string', maxLength: 512 } } },
+    leave: { bucket: 'control', fields: {} },
+    input: {
+        bucket: 'input',
+        fields: {
+            seq: { type: 'integer', min: 1, max: 4294967295 },
+            ack: { type: 'integer', min: 0, max: 4294967295, optional: true },
+            angle: { type: 'number', min: -Math.PI * 2, max: Math.PI * 2 },
+            keys: {
+                type: 'object',
+                fields: {
+                    up: { type: 'boolean', optional: true },
+                    down: { type: 'boolean', optional: true },
+                    left: { type: 'boolean', optional: true },
+                    right: { type: 'boolean', optional: true },
+                    boost: { type: 'boolean', optional: true }
+                }
+            },
+            // Аналоговая тяга с геймпада или экранного джойстика
+            move: {
+                type: 'object',
+                optional: true,
+                fields: {
+                    x: { type: 'number', min: -1, max: 1 },
+                    y: { type: 'number', min: -1, max: 1 }
+                }
+            }
+        }
+    },
+    ack: { bucket: 'input', fields: { seq: { type: 'integer', min: 0, max: 4294967295 } } },
+    shoot: { bucket: 'action', fields: { charge: { type: 'integer', min: 0, max: 60000, optional: true } } },
+    weapon: { bucket: 'action', fields: { weapon: { type: 'string', maxLength: 16, pattern: new RegExp('^(' + WEAPON_TYPES.join('|') + ')$') } } },
+    pong: { bucket: 'control', fields: { t: { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER } } }
+};
+
+export const SPECTATOR_MESSAGES = ['ack', 'pong']; // зритель не управляет кораблем
+
+// Токенов в секунду и размер запаса; клиент шлет ввод раз в тик
+export const RATE_LIMITS = {
+    input: { rate: Math.ceil(1000 / PHYSICS.tickMs), burst: 15 },
+    action: { rate: 10, burst: 15 },
+    control: { rate: 5, burst: 10 },
+    violations: { rate: 1, burst: 20 } // исчерпание - отключение сокета
+};
+
+function validateFields(value, fields, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'not_object' + path;
+    
+    for (const key of Object.keys(value)) {
+        if (key === 'type' && !path) continue;
+        if (!fields[key]) return 'unknown_field:' + path + key;
+    }
+    
+    for (const [key, field] of Object.entries(fields)) {
+        const fieldValue = value[key];
+        if (fieldValue === undefined) {
+            if (field.optional) continue;
+            return 'missing_field:' + path + key;
+        }
+        
+        let valid;
+        switch (field.type) {
+            case 'string':
+                valid = typeof fieldValue === 'string' && fieldValue.length <= field.maxLength &&
+                    (!field.pattern || field.pattern.test(fieldValue));
+                break;
+            case 'boolean': valid = typeof fieldValue === 'boolean'; break;
+            case 'integer': valid = Number.isInteger(fieldValue) && fieldValue >= field.min && fieldValue <= field.max; break;
+            case 'number': valid = Number.isFinite(fieldValue) && fieldValue >= field.min && fieldValue <= field.max; break;
+            case 'object': {
+                const reason = validateFields(fieldValue, field.fields, path + key + '.');
+                if (reason) return reason;
+                valid = true;
+                break;
+            }
+        }
+        if (!valid) return 'invalid_field:' + path + key;
+    }
+    return null;
+}
+
+// Причина отказа или null, если сообщение соответствует схеме
+export function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not_object';
+    
+    const schema = Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, data.type) && CLIENT_MESSAGES[data.type];
+    if (!schema) return 'unknown_type';
+    
+    return validateFields(data, schema.fields, '');
+}
+
+export function createBucket(limit) {
+    return { tokens: limit.burst, updatedAt: Date.now() };
+}
+
+export function takeToken(bucket, limit) {
+    const now = Date.now();
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+    bucket.updatedAt = now;
+    
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+// Вводы на один шаг симуляции. Бюджет растет на один ввод за шаг и копится не больше
+// MAX_INPUTS_PER_TICK, поэтому в среднем применяется не больше ввода за тик: частые
+// вводы не ускоряют корабль, а только ждут в очереди
+export function takeInputs(session) {
+    session.inputBudget = Math.min(MAX_INPUTS_PER_TICK, session.inputBudget + 1);
+    const inputs = session.inputs.splice(0, session.inputBudget);
+    session.inputBudget -= inputs.length;
+    return inputs;
+}
+
+// Вводы нумеруются клиентом по порядку; пришедшие повторно не применяются
+export function queueInput(session, input) {
+    if (session.lastInput && input.seq <= session.lastInput.seq) return;
+    
+    session.lastInput = input;
+    session.inputs.push(input);
+    if (session.inputs.length > MAX_PENDING_INPUTS) session.inputs.shift();
+}
+
+// После нового init клиент нумерует вводы заново с inputSeq своего корабля,
+// поэтому номер последнего ввода сессии забывается вместе с очередью
+export function resetInputs(session) {
+    session.lastInput = null;
+    session.inputs = [];
+    session.inputBudget = 0;
+}
+
+// Убирает управляющие символы, символы нулевой ширины и смены направления текста,
+// а также символы разметки; длина считается в символах, а не в UTF-16
+export function sanitizeText(raw, maxLength) {
+    if (typeof raw !== 'string') return '';
+    
+    const text = raw.normalize('NFKC')
+        .replace(/[\u0000-\u001f\u007f-\u009f\u00ad\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g, '')
+        .replace(/[<>&"'`\\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return Array.from(text).slice(0, maxLength).join('').trim();
+}
+
+export function sanitizeName(raw) {
+    return sanitizeText(raw, MAX_NAME_LENGTH) || DEFAULT_PLAYER_NAME;
+}
+
+
+// Снапшоты состояния: бинарный формат с дельтами относительно подтвержденного клиентом снапшота
+export const SNAPSHOT_MESSAGE = 1;
+export const SNAPSHOT_HISTORY = 32; // сколько прошлых снапшотов хранится для дельт
+export const SNAPSHOT_SCHEMA = {
+    players: [
+        { key: 'x', type: 'int16', scale: 4 },
+        { key: 'y', type: 'int16', scale: 4 },
+        { key: 'angle', type: 'angle' },
+        { key: 'vx', type: 'int16', scale: 100 },
+        { key: 'vy', type: 'int16', scale: 100 },
+        { key: 'health', type: 'uint8' },
+        { key: 'score', type: 'uint32' },
+        { key: 'kills', type: 'uint16' },
+        { key: 'thrust', type: 'bool' },
+        { key: 'dead', type: 'bool' },
+        { key: 'weapon', type: 'uint8', values: WEAPON_TYPES },
+        { key: 'shield', type: 'uint8' },
+        { key: 'inputSeq', type: 'uint32' } // последний примененный ввод - для сверки предсказания
+    ],
+    bullets: [
+        { key: 'x', type: 'int16', scale: 4 },
+        { key: 'y', type: 'int16', scale: 4 },
+        { key: 'vx', type: 'int16', scale: 100 },
+        { key: 'vy', type: 'int16', scale: 100 },
+        { key: 'ownerNid', type: 'uint16' },
+        { key: 'weapon', type: 'uint8', values: WEAPON_TYPES }
+    ],
+    asteroids: [ // только дрейфующие, статичные приходят в init
+        { key: 'x', type: 'int16', scale: 4 },
+        { key: 'y', type: 'int16', scale: 4 },
+        { key: 'r', type: 'uint8' }
+    ]
+};
+export const SNAPSHOT_GROUPS = [
+    { key: 'players', idType: 'uint16', maskType: 'uint16' },
+    { key: 'bullets', idType: 'uint32', maskType: 'uint8' },
+    { key: 'asteroids', idType: 'uint16', maskType: 'uint8' }
+];
+export const FIELD_SIZES = { int16: 2, uint16: 2, angle: 2, uint8: 1, bool: 1, uint32: 4 };
+
+function quantizeField(field, value) {
+    // Перечисления передаются индексом значения
+    if (field.values) return Math.max(0, field.values.indexOf(value));
+    
+    switch (field.type) {
+        case 'int16': return Math.max(-32768, Math.min(32767, Math.round((value || 0) * field.scale)));
+        case 'angle': {
+            const turn = ((value || 0) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2);
+            return Math.round(turn / (Math.PI * 2) * 65536) & 0xffff;
+        }
+        case 'bool': return value ? 1 : 0;
+        case 'uint8': return Math.max(0, Math.min(255, Math.round(value || 0)));
+        case 'uint16': return Math.max(0, Math.min(65535, Math.round(value || 0)));
+        case 'uint32': return Math.max(0, Math.min(4294967295, Math.round(value || 0)));
+    }
+}
+
+function quantizeEntities(entities, fields, idKey) {
+    const result = new Map();
+    for (const entity of entities) {
+        result.set(entity[idKey], fields.map(field => quantizeField(field, entity[field.key])));
+    }
+    return result;
+}
+
+function writeField(view, offset, type, value) {
+    switch (type) {
+        case 'int16': view.setInt16(offset, value, true); break;
+        case 'uint16':
+        case 'angle': view.setUint16(offset, value, true); break;
+        case 'uint8':
+        case 'bool': view.setUint8(offset, value); break;
+        case 'uint32': view.setUint32(offset, value, true); break;
+    }
+    return offset + FIELD_SIZES[type];
+}
+
+// Изменения одной группы сущностей: новые и измененные с маской полей, удаленные по id
+function diffEntities(current, baseline, fields) {
+    const changed = [];
+    for (const [id, values] of current) {
+        const base = baseline && baseline.get(id);
+        let mask = 0;
+        for (let i = 0; i < fields.length; i++) {
+            if (!base || base[i] !== values[i]) mask |= 1 << i;
+        }
+        if (mask) changed.push({ id, mask, values });
+    }
+    
+    const removed = [];
+    if (baseline) {
+        for (const id of baseline.keys()) {
+            if (!current.has(id)) removed.push(id);
+        }
+    }
+    return { changed, removed };
+}
+
+// Формат (little-endian): u8 тип, u32 seq, u32 baseSeq (0 - полный снапшот), u32 тик симуляции,
+// затем группы из SNAPSHOT_GROUPS: u16 число измененных, для каждого id, маска и поля из маски,
+// u16 число удаленных и их id
+export function encodeSnapshot(seq, snapshot, baseSeq, baseline) {
+    const groups = SNAPSHOT_GROUPS.map(group => ({
+        ...group,
+        fields: SNAPSHOT_SCHEMA[group.key],
+        ...diffEntities(snapshot[group.key], baseline && baseline[group.key], SNAPSHOT_SCHEMA[group.key])
+    }));
+    
+    const changedSize = (changes, fields, headerSize) => changes.reduce((size, change) => {
+        let fieldsSize = 0;
+        fields.forEach((field, i) => {
+            if (change.mask & (1 << i)) fieldsSize += FIELD_SIZES[field.type];
+        });
+        return size + headerSize + fieldsSize;
+    }, 0);
+    
+    const size = groups.reduce((total, group) => total +
+        2 + changedSize(group.changed, group.fields, FIELD_SIZES[group.idType] + FIELD_SIZES[group.maskType]) +
+        2 + group.removed.length * FIELD_SIZES[group.idType], 13);
+    
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+    view.setUint8(offset, SNAPSHOT_MESSAGE); offset += 1;
+    view.setUint32(offset, seq, true); offset += 4;
+    view.setUint32(offset, baseSeq, true); offset += 4;
+    view.setUint32(offset, snapshot.tick, true); offset += 4;
+    
+    for (const group of groups) {
+        view.setUint16(offset, group.changed.length, true); offset += 2;
+        for (const change of group.changed) {
+            offset = writeField(view, offset, group.idType, change.id);
+            offset = writeField(view, offset, group.maskType, change.mask);
+            group.fields.forEach((field, i) => {
+                if (change.mask & (1 << i)) offset = writeField(view, offset, field.type, change.values[i]);
+            });
+        }
+        view.setUint16(offset, group.removed.length, true); offset += 2;
+        for (const id of group.removed) {
+            offset = writeField(view, offset, group.idType, id);
+        }
+    }
+    
+    return buffer;
+}
+
+
+// Снапшот мира симуляции; отключившиеся игроки в нем не видны
+// seq считает рассылки, а время мира задает tick: после догоняющего alarm между
+// соседними снапшотами проходит несколько тиков
+export function worldSnapshot(sim) {
+    return {
+        tick: sim.tick,
+        players: quantizeEntities(Object.values(sim.players).filter(player => !player.disconnectedAt), SNAPSHOT_SCHEMA.players, 'nid'),
+        bullets: quantizeEntities(sim.bullets, SNAPSHOT_SCHEMA.bullets, 'id'),
+        asteroids: quantizeEntities(sim.asteroids.filter(asteroid => asteroid.drifting), SNAPSHOT_SCHEMA.asteroids, 'id')
+    };
+}
@@ -0,0 +1,1494 @@
+// Симуляция игры: правила, физика, матчи и боты без сокетов, хранилища и часов.
+// Мир меняется только в step(): один вызов - один тик фиксированной длины, время считается
+// по номеру тика, а случайность берется из генератора с зерном. Одно и то же зерно
+// и один и тот же сценарий вводов всегда дают один и тот же мир
+
+// Матчи: режимы, фазы и лимиты
+export const GAME_MODES = {
+    ffa: { name: 'Все против всех', teams: false, scoreLimit: 20 }, // убийств игрока
+    tdm: { name: 'Командный бой', teams: true, scoreLimit: 50 },    // убийств команды
+    ctf: { name: 'Захват флага', teams: true, scoreLimit: 3 }       // захватов флага
+};
+export const TEAMS = {
+    1: { name: 'Красные', color: '#f44' },
+    2: { name: 'Синие', color: '#48f' }
+};
+const DEFAULT_TIME_LIMIT = 300; // секунды
+const MIN_TIME_LIMIT = 60;
+const MAX_TIME_LIMIT = 1800;
+const MAX_SCORE_LIMIT = 500;
+const MIN_MATCH_PLAYERS = 2;
+const PHASE_DURATIONS = { countdown: 5000, round_end: 8000, intermission: 10000 };
+export const RESPAWN_DELAY = 3000;
+const FLAG_RADIUS = 30;
+const FLAG_RETURN_TIME = 30000; // брошенный флаг сам возвращается на базу
+
+// Оружие: поведение снаряда задает kind, остальное - параметры.
+// ammo: null - бесконечные патроны
+export const WEAPONS = {
+    blaster: { name: 'Бластер', kind: 'bullet', damage: 15, cooldown: 200, speed: 15, life: 100, radius: 25, ammo: null, color: '#ff0' },
+    spread: { name: 'Дробовик', kind: 'bullet', damage: 8, cooldown: 500, speed: 14, life: 40, radius: 22, ammo: 15, pellets: 5, spread: 0.35, color: '#f80' },
+    laser: { name: 'Лазер', kind: 'laser', damage: 20, maxDamage: 70, chargeMs: 1200, cooldown: 700, speed: 40, life: 25, radius: 15, ammo: 8, color: '#0ff' },
+    missile: { name: 'Ракеты', kind: 'missile', damage: 40, cooldown: 900, speed: 8, life: 150, radius: 30, ammo: 6, turnRate: 0.08, seekRange: 600, color: '#f44' },
+    mine: { name: 'Мины', kind: 'mine', damage: 50, cooldown: 1000, speed: 0, life: 900, radius: 40, ammo: 3, armMs: 1000, color: '#f0f' }
+};
+export const WEAPON_TYPES = Object.keys(WEAPONS); // индекс типа передается в снимках
+export const DEFAULT_WEAPON = 'blaster';
+
+// Бонусы появляются в случайных местах карты и подбираются пролетом
+export const PICKUPS = {
+    health: { name: 'Ремкомплект', icon: '+', health: 50, color: '#0f0' },
+    shield: { name: 'Щит', icon: 'Щ', shield: 50, duration: 10000, color: '#48f' },
+    spread: { name: 'Дробовик', icon: 'Д', weapon: 'spread', color: WEAPONS.spread.color },
+    laser: { name: 'Лазер', icon: 'Л', weapon: 'laser', color: WEAPONS.laser.color },
+    missile: { name: 'Ракеты', icon: 'Р', weapon: 'missile', color: WEAPONS.missile.color },
+    mine: { name: 'Мины', icon: 'М', weapon: 'mine', color: WEAPONS.mine.color }
+};
+const MAX_PICKUPS = 8;
+const PICKUP_SPAWN_INTERVAL = 5000;
+const PICKUP_RADIUS = 30;
+
+// Боты дополняют комнату до заданного числа участников, пока в ней есть люди.
+// reactionMs - как часто бот пересматривает цель, aimError - разброс прицела в радианах,
+// lead - доля упреждения, dodge - шанс заметить летящий в него снаряд
+export const BOT_DIFFICULTIES = {
+    easy: { name: 'Новички', reactionMs: 700, aimError: 0.3, lead: 0, dodge: 0.1, fireRate: 0.3, sight: 700 },
+    normal: { name: 'Пилоты', reactionMs: 400, aimError: 0.12, lead: 0.6, dodge: 0.4, fireRate: 0.6, sight: 900 },
+    hard: { name: 'Асы', reactionMs: 200, aimError: 0.04, lead: 1, dodge: 0.8, fireRate: 1, sight: 1200 }
+};
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+const DEFAULT_BOT_TARGET = 4; // участников вместе с людьми
+const MAX_BOT_TARGET = 16;
+const BOT_NAMES = ['Альфа', 'Браво', 'Вега', 'Гамма', 'Дельта', 'Зета', 'Икар', 'Комета',
+    'Луна', 'Метеор', 'Нова', 'Орион', 'Пульсар', 'Сириус', 'Титан', 'Фобос'];
+const BOT_PREFERRED_RANGE = 350;
+
+// Расстояние от точки до отрезка, который снаряд прошел за тик
+function segmentDistance(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - (x1 + dx * t), py - (y1 + dy * t));
+}
+
+// Физика кораблей - единое определение для сервера и клиентского предсказания
+export const PHYSICS = {
+    tickMs: 33,       // ~30 FPS
+    thrust: 0.3,
+    boost: 0.5,
+    friction: 0.98,
+    maxSpeed: 12
+};
+export const SHIP_RADIUS = 15;
+
+// Карты: размер мира, статичные астероиды, число дрейфующих, зоны появления по командам
+// (0 - без команды) и базы флагов. Размер ограничен форматом снапшота: int16 с шагом 1/4
+export const MAPS = {
+    open: {
+        name: 'Открытый космос',
+        size: 2000,
+        wrap: false,
+        asteroids: [],
+        drifting: 0,
+        spawnZones: {
+            0: [{ x: 500, y: 500, w: 1000, h: 1000 }],
+            1: [{ x: 100, y: 600, w: 300, h: 800 }],
+            2: [{ x: 1600, y: 600, w: 300, h: 800 }]
+        },
+        flagBases: { 1: { x: 150, y: 1000 }, 2: { x: 1850, y: 1000 } }
+    },
+    belt: {
+        name: 'Пояс астероидов',
+        size: 3000,
+        wrap: false,
+        asteroids: [
+            { x: 1500, y: 1500, r: 120 }, { x: 1200, y: 1350, r: 70 }, { x: 1800, y: 1650, r: 70 },
+            { x: 1000, y: 900, r: 90 }, { x: 2000, y: 2100, r: 90 }, { x: 1350, y: 2000, r: 60 },
+            { x: 1650, y: 1000, r: 60 }, { x: 700, y: 1700, r: 80 }, { x: 2300, y: 1300, r: 80 },
+            { x: 1500, y: 600, r: 50 }, { x: 1500, y: 2400, r: 50 }
+        ],
+        drifting: 10,
+        spawnZones: {
+            0: [
+                { x: 150, y: 150, w: 400, h: 400 }, { x: 2450, y: 150, w: 400, h: 400 },
+                { x: 150, y: 2450, w: 400, h: 400 }, { x: 2450, y: 2450, w: 400, h: 400 }
+            ],
+            1: [{ x: 100, y: 1100, w: 300, h: 800 }],
+            2: [{ x: 2600, y: 1100, w: 300, h: 800 }]
+        },
+        flagBases: { 1: { x: 200, y: 1500 }, 2: { x: 2800, y: 1500 } }
+    },
+    torus: {
+        name: 'Тор',
+        size: 2400,
+        wrap: true, // вылетевший за край появляется с другой стороны
+        asteroids: [
+            { x: 900, y: 600, r: 70 }, { x: 900, y: 1200, r: 100 }, { x: 900, y: 1800, r: 70 },
+            { x: 2100, y: 600, r: 70 }, { x: 2100, y: 1200, r: 100 }, { x: 2100, y: 1800, r: 70 },
+            { x: 300, y: 200, r: 45 }, { x: 1500, y: 200, r: 45 }
+        ],
+        drifting: 6,
+        spawnZones: {
+            0: [{ x: 150, y: 1000, w: 300, h: 400 }, { x: 1350, y: 1000, w: 300, h: 400 }],
+            1: [{ x: 150, y: 1000, w: 300, h: 400 }],
+            2: [{ x: 1350, y: 1000, w: 300, h: 400 }]
+        },
+        flagBases: { 1: { x: 300, y: 1200 }, 2: { x: 1500, y: 1200 } }
+    }
+};
+export const DEFAULT_MAP = 'open';
+const DRIFTING_ASTEROID_RADIUS = { min: 30, max: 70 };
+const DRIFTING_ASTEROID_SPEED = { min: 0.5, max: 1.5 };
+const ASTEROID_BOUNCE = 0.6;   // доля скорости корабля после отскока
+const SPATIAL_CELL_SIZE = 200;
+
+// Физика конкретной карты для stepShip
+export function mapPhysics(map) {
+    return { ...PHYSICS, worldSize: map.size, wrap: map.wrap };
+}
+
+// Разница координат с учетом замкнутых краев: кратчайший путь через шов
+export function wrapDelta(delta, physics) {
+    if (!physics.wrap) return delta;
+    return delta - Math.round(delta / physics.worldSize) * physics.worldSize;
+}
+
+// Сетка для поиска соседей: объекты заносятся во все ячейки, которые задевают
+class SpatialHash {
+    constructor(cellSize, physics) {
+        this.cellSize = cellSize;
+        this.wrap = physics.wrap;
+        this.cells = Math.ceil(physics.worldSize / cellSize);
+        this.buckets = new Map();
+    }
+
+    cellRange(x, y, radius, callback) {
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+        
+        // На замкнутой карте ячейки за краем - это ячейки с другой стороны
+        const spanX = this.wrap ? Math.min(maxX - minX, this.cells - 1) : maxX - minX;
+        const spanY = this.wrap ? Math.min(maxY - minY, this.cells - 1) : maxY - minY;
+        for (let i = 0; i <= spanX; i++) {
+            for (let j = 0; j <= spanY; j++) {
+                let cx = minX + i;
+                let cy = minY + j;
+                if (this.wrap) {
+                    cx = (cx % this.cells + this.cells) % this.cells;
+                    cy = (cy % this.cells + this.cells) % this.cells;
+                }
+                callback(cx + ':' + cy);
+            }
+        }
+    }
+
+    insert(item, x, y, radius) {
+        this.cellRange(x, y, radius, key => {
+            let bucket = this.buckets.get(key);
+            if (!bucket) this.buckets.set(key, bucket = []);
+            bucket.push(item);
+        });
+    }
+
+    query(x, y, radius) {
+        const found = new Set();
+        this.cellRange(x, y, radius, key => {
+            const bucket = this.buckets.get(key);
+            if (bucket) bucket.forEach(item => found.add(item));
+        });
+        return found;
+    }
+}
+
+// Компенсация задержки: сервер помнит прошлые позиции и проверяет попадания
+// по тому, что видел стрелок
+export const DEFAULT_MAX_REWIND_MS = 200; // переопределяется переменной MAX_REWIND_MS
+const POSITION_HISTORY_MS = 1000;
+
+// Один шаг движения корабля по вводу игрока. Функция не использует ничего
+// снаружи: ее исходный код встраивается в клиент для предсказания
+export function stepShip(ship, input, physics) {
+    ship.angle = input.angle || 0;
+    
+    // Клавиши дают тягу по осям целиком, стики и экранный джойстик - долю от -1 до 1;
+    // вместе они не разгоняют сильнее одной клавиши
+    const keys = input.keys || {};
+    const move = input.move || { x: 0, y: 0 };
+    const ax = Math.max(-1, Math.min(1, (keys.right ? 1 : 0) - (keys.left ? 1 : 0) + move.x));
+    const ay = Math.max(-1, Math.min(1, (keys.down ? 1 : 0) - (keys.up ? 1 : 0) + move.y));
+    ship.vx += ax * physics.thrust;
+    ship.vy += ay * physics.thrust;
+    ship.thrust = ay < 0;
+    
+    if (keys.boost) {
+        ship.vx += Math.cos(ship.angle) * physics.boost;
+        ship.vy += Math.sin(ship.angle) * physics.boost;
+        ship.thrust = true;
+    }
+    
+    ship.vx *= physics.friction;
+    ship.vy *= physics.friction;
+    
+    // Ограничение скорости
+    const speed = Math.sqrt(ship.vx ** 2 + ship.vy ** 2);
+    if (speed > physics.maxSpeed) {
+        ship.vx = (ship.vx / speed) * physics.maxSpeed;
+        ship.vy = (ship.vy / speed) * physics.maxSpeed;
+    }
+    
+    ship.x += ship.vx;
+    ship.y += ship.vy;
+    
+    // Границы карты: упор в край или переход на другую сторону
+    if (physics.wrap) {
+        ship.x = (ship.x % physics.worldSize + physics.worldSize) % physics.worldSize;
+        ship.y = (ship.y % physics.worldSize + physics.worldSize) % physics.worldSize;
+    } else {
+        ship.x = Math.max(0, Math.min(physics.worldSize, ship.x));
+        ship.y = Math.max(0, Math.min(physics.worldSize, ship.y));
+    }
+}
+
+export function playerMeta(player) {
+    return { id: player.id, nid: player.nid, name: player.name, color: player.color, team: player.team, bot: !!player.bot };
+}
+
+// Настройки матча из запроса на создание комнаты
+export function matchSettings(body) {
+    const mode = Object.prototype.hasOwnProperty.call(GAME_MODES, body.mode) ? body.mode : 'ffa';
+    const timeLimit = Math.max(MIN_TIME_LIMIT, Math.min(MAX_TIME_LIMIT, parseInt(body.timeLimit, 10) || DEFAULT_TIME_LIMIT));
+    const scoreLimit = Math.max(1, Math.min(MAX_SCORE_LIMIT, parseInt(body.scoreLimit, 10) || GAME_MODES[mode].scoreLimit));
+    const map = Object.prototype.hasOwnProperty.call(MAPS, body.map) ? body.map : DEFAULT_MAP;
+    const bots = parseInt(body.bots, 10);
+    const botDifficulty = Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, body.botDifficulty) ? body.botDifficulty : DEFAULT_BOT_DIFFICULTY;
+    return {
+        mode,
+        timeLimit,
+        scoreLimit,
+        map,
+        bots: Number.isNaN(bots) ? DEFAULT_BOT_TARGET : Math.max(0, Math.min(MAX_BOT_TARGET, bots)),
+        botDifficulty
+    };
+}
+
+// Генератор с зерном (mulberry32): состояние - одно 32-битное число, его легко сохранить
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Хук получает то, что симуляция хочет сообщить наружу; хост решает, куда это отправить
+const NO_HOOKS = {
+    broadcast() {},      // (message) - событие для всех в комнате
+    send() {},           // (playerId, message) - сообщение одному игроку
+    stats() {},          // (player, delta) - изменение статистики профиля
+    roster() {},         // состав игроков изменился
+    phase() {}           // (phase) - матч перешел в новую фазу
+};
+
+export class Simulation {
+    constructor(config, { seed = 1, tick = 0, maxRewindMs = DEFAULT_MAX_REWIND_MS, hooks = {} } = {}) {
+        this.config = config; // тот же объект, что у хоста: настройки комнаты меняются на лету
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.tick = tick;
+        this.time = tick * PHYSICS.tickMs;
+        this.maxRewindMs = maxRewindMs;
+        this.hooks = { ...NO_HOOKS, ...hooks };
+        this.players = {};
+        this.bullets = [];
+        this.bulletId = 1;
+        this.nextNid = 1;
+        this.positionHistory = [];
+        this.botBrains = new Map(); // состояние ботов не сохраняется - они просто думают заново
+        this.match = { phase: 'warmup', endsAt: null, teamScores: { 1: 0, 2: 0 }, results: null };
+        this.flags = null;
+        this.pickups = [];
+        this.pickupId = 1;
+        this.lastPickupSpawn = 0;
+        this.dirty = false;
+        
+        // Цвета кораблей
+        this.shipColors = ['#0ff', '#f0f', '#ff0', '#0f0', '#f80', '#80f', '#08f', '#f00'];
+        this.colorIndex = 0;
+        
+        this.setupMap();
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    emit(message) {
+        this.hooks.broadcast(message);
+    }
+
+    // Состояние, которое должно пережить перезапуск хоста. Игроков хост хранит отдельно,
+    // а астероиды и пикапы просто создаются заново
+    save() {
+        return {
+            seed: this.seed,
+            tick: this.tick,
+            rngState: this.rng.state,
+            nextNid: this.nextNid,
+            colorIndex: this.colorIndex,
+            match: this.match
+        };
+    }
+
+    load(saved, players) {
+        this.tick = saved.tick;
+        this.time = saved.tick * PHYSICS.tickMs;
+        this.rng.state = saved.rngState >>> 0;
+        this.nextNid = saved.nextNid;
+        this.colorIndex = saved.colorIndex;
+        this.match = saved.match || this.match;
+        this.players = players || {};
+    }
+
+    addPlayer(id, name, profileId) {
+        const player = this.createPlayer(id, name, profileId);
+        this.players[id] = player;
+        this.dirty = true;
+        return player;
+    }
+
+    removePlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player) return;
+        
+        delete this.players[playerId];
+        this.botBrains.delete(playerId);
+        this.emit({ type: 'leave', id: playerId, nid: player.nid });
+        this.dirty = true;
+        this.hooks.roster();
+    }
+
+    // В командных режимах новый участник попадает в меньшую команду
+    createPlayer(id, name, profileId) {
+        const team = GAME_MODES[this.config.mode].teams ? this.smallestTeam() : 0;
+        const spawn = this.spawnPosition(team);
+        
+        return {
+            id,
+            nid: this.allocateNid(),
+            profileId,
+            name,
+            team,
+            x: spawn.x,
+            y: spawn.y,
+            angle: 0,
+            vx: 0,
+            vy: 0,
+            health: 100,
+            score: 0,
+            kills: 0,
+            deaths: 0,
+            streak: 0,
+            color: team ? TEAMS[team].color : this.shipColors[this.colorIndex++ % this.shipColors.length],
+            thrust: false,
+            dead: false,
+            respawnAt: null,
+            inputSeq: 0,
+            lastShot: 0,
+            weapon: DEFAULT_WEAPON,
+            arsenal: {}, // патроны подобранного оружия
+            shield: 0,
+            shieldUntil: null
+        };
+    }
+
+    allocateNid() {
+        const used = new Set(Object.values(this.players).map(player => player.nid));
+        while (used.has(this.nextNid)) {
+            this.nextNid = this.nextNid % 65535 + 1;
+        }
+        const nid = this.nextNid;
+        this.nextNid = this.nextNid % 65535 + 1;
+        return nid;
+    }
+
+    // lagMs - насколько в прошлом стрелок видит чужие корабли; его считает хост по пингу
+    playerShoot(playerId, charge, lagMs) {
+        const player = this.players[playerId];
+        if (!player || player.dead) return;
+        
+        const weapon = WEAPONS[player.weapon];
+        const now = this.time;
+        if (now - player.lastShot < weapon.cooldown) return; // Cooldown
+        
+        // Лазер заряжается, пока игрок держит кнопку, но не во время перезарядки
+        const charged = weapon.chargeMs ? Math.max(0, Math.min(charge || 0, weapon.chargeMs, now - player.lastShot - weapon.cooldown)) : 0;
+        const damage = weapon.maxDamage ? weapon.damage + (weapon.maxDamage - weapon.damage) * charged / weapon.chargeMs : weapon.damage;
+        player.lastShot = now;
+        
+        // Мину задевает сама цель, поэтому для нее перемотки нет
+        const rewindMs = weapon.kind === 'mine' ? 0 : Math.min(this.maxRewindMs, Math.round(lagMs || 0));
+        
+        const pellets = weapon.pellets || 1;
+        for (let i = 0; i < pellets; i++) {
+            const angle = player.angle + (pellets > 1 ? (i / (pellets - 1) - 0.5) * weapon.spread * 2 : 0);
+            const offset = weapon.kind === 'mine' ? -30 : 30; // мины остаются позади корабля
+            this.bullets.push({
+                id: this.bulletId++,
+                owner: playerId,
+                ownerNid: player.nid,
+                team: player.team,
+                weapon: player.weapon,
+                x: player.x + Math.cos(angle) * offset,
+                y: player.y + Math.sin(angle) * offset,
+                vx: weapon.speed ? Math.cos(angle) * weapon.speed + player.vx * 0.3 : 0,
+                vy: weapon.speed ? Math.sin(angle) * weapon.speed + player.vy * 0.3 : 0,
+                life: weapon.life,
+                damage,
+                armedAt: weapon.armMs ? now + weapon.armMs : 0,
+                rewindMs
+            });
+        }
+        
+        if (weapon.ammo !== null) {
+            player.arsenal[player.weapon]--;
+            if (player.arsenal[player.weapon] <= 0) {
+                delete player.arsenal[player.weapon];
+                player.weapon = DEFAULT_WEAPON;
+            }
+            this.sendLoadout(player);
+        }
+    }
+
+    selectWeapon(player, type) {
+        if (!player || player.weapon === type) return;
+        if (type !== DEFAULT_WEAPON && !player.arsenal[type]) return;
+        
+        player.weapon = type;
+        this.sendLoadout(player);
+    }
+
+    loadoutInfo(player) {
+        return { weapon: player.weapon, arsenal: player.arsenal };
+    }
+
+    sendLoadout(player) {
+        if (!player.bot) this.hooks.send(player.id, { type: 'loadout', loadout: this.loadoutInfo(player) });
+    }
+
+    // Один тик мира. inputs - вводы игроков за этот тик: { [playerId]: [input, ...] }
+    step(inputs = {}) {
+        this.tick++;
+        this.time = this.tick * PHYSICS.tickMs;
+        const now = this.time;
+        this.updateBotPopulation();
+        
+        // Боты за тик дают по одному вводу, и он применяется так же, как ввод людей
+        inputs = { ...inputs };
+        for (const player of Object.values(this.players)) {
+            if (player.bot && !player.dead) inputs[player.id] = [this.runBot(player, now)];
+        }
+        
+        // Обновляем игроков: каждый ввод - ровно один шаг физики, как в предсказании на клиенте
+        for (const [playerId, list] of Object.entries(inputs)) {
+            const player = this.players[playerId];
+            if (!player) continue;
+            
+            for (const input of list) {
+                // Пока корабль уничтожен, вводы только подтверждаются
+                if (!player.dead) stepShip(player, input, this.physics);
+                player.inputSeq = input.seq;
+            }
+        }
+        
+        for (const player of Object.values(this.players)) {
+            if (player.dead && now >= player.respawnAt) this.respawn(player);
+            if (player.shieldUntil && now >= player.shieldUntil) {
+                player.shield = 0;
+                player.shieldUntil = null;
+            }
+        }
+        
+        this.updateAsteroids();
+        for (const player of this.activePlayers()) {
+            if (player.dead) continue;
+            for (const asteroid of this.asteroidGrid.query(player.x, player.y, SHIP_RADIUS)) {
+                this.collideShip(player, asteroid);
+            }
+        }
+        
+        this.recordPositions();
+        this.rebuildShipGrid(now);
+        this.updateFlags(now);
+        this.updatePickups(now);
+        
+        // Обновляем снаряды
+        const size = this.physics.worldSize;
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+            const weapon = WEAPONS[bullet.weapon];
+            if (weapon.kind === 'missile') this.steerMissile(bullet, weapon);
+            
+            const fromX = bullet.x;
+            const fromY = bullet.y;
+            const toX = fromX + bullet.vx;
+            const toY = fromY + bullet.vy;
+            bullet.life--;
+            
+            // На открытой карте снаряд пропадает за краем, на замкнутой - переходит на другую сторону
+            if (bullet.life <= 0 || (!this.physics.wrap && (toX < -100 || toX > size + 100 || toY < -100 || toY > size + 100))) {
+                this.bullets.splice(i, 1);
+                continue;
+            }
+            bullet.x = this.physics.wrap ? (toX % size + size) % size : toX;
+            bullet.y = this.physics.wrap ? (toY % size + size) % size : toY;
+            
+            // Кандидаты на столкновение - только из ячеек вокруг пройденного за тик отрезка
+            const midX = (fromX + toX) / 2;
+            const midY = (fromY + toY) / 2;
+            const reach = Math.hypot(bullet.vx, bullet.vy) / 2;
+            
+            let blocked = false;
+            for (const asteroid of this.asteroidGrid.query(midX, midY, reach)) {
+                const ax = fromX + wrapDelta(asteroid.x - fromX, this.physics);
+                const ay = fromY + wrapDelta(asteroid.y - fromY, this.physics);
+                if (segmentDistance(ax, ay, fromX, fromY, toX, toY) < asteroid.r) {
+                    blocked = true;
+                    break;
+                }
+            }
+            if (blocked) {
+                this.bullets.splice(i, 1);
+                this.emit({ type: 'hit', x: bullet.x, y: bullet.y, shooter: bullet.owner, target: null, weapon: bullet.weapon });
+                continue;
+            }
+            
+            // Между матчами урона нет, а мина срабатывает только после взведения
+            if (!this.damageEnabled() || now < bullet.armedAt) continue;
+            
+            // Проверка попаданий по позициям целей в момент, который видел стрелок
+            const rewind = this.findRewindFrames(now - bullet.rewindMs);
+            for (const player of this.shipGrid.query(midX, midY, reach + weapon.radius)) {
+                const playerId = player.id;
+                if (playerId === bullet.owner) continue;
+                if (bullet.team && bullet.team === player.team) continue; // без огня по своим
+                
+                const target = this.rewindPosition(playerId, player, rewind);
+                const tx = fromX + wrapDelta(target.x - fromX, this.physics);
+                const ty = fromY + wrapDelta(target.y - fromY, this.physics);
+                const dist = segmentDistance(tx, ty, fromX, fromY, toX, toY);
+                
+                if (dist < weapon.radius) {
+                    this.applyDamage(player, bullet.damage);
+                    this.bullets.splice(i, 1);
+                    
+                    // Отправляем событие попадания вместе с использованной перемоткой
+                    const rewindInfo = { ms: bullet.rewindMs, tick: rewind ? rewind.from.tick : this.tick };
+                    this.emit({
+                        type: 'hit',
+                        x: bullet.x,
+                        y: bullet.y,
+                        shooter: bullet.owner,
+                        target: playerId,
+                        weapon: bullet.weapon,
+                        rewind: rewindInfo
+                    });
+                    
+                    if (player.health <= 0) {
+                        this.handleKill(player, this.players[bullet.owner], rewindInfo, bullet.weapon);
+                    }
+                    break;
+                }
+            }
+        }
+        
+        this.updateMatch(now);
+    }
+
+    // Карта комнаты: физика с ее размером, астероиды и сетки для поиска столкновений
+    setupMap() {
+        this.map = MAPS[this.config.map];
+        this.physics = mapPhysics(this.map);
+        this.asteroids = this.map.asteroids.map((asteroid, i) => ({ id: i + 1, ...asteroid, vx: 0, vy: 0, drifting: false }));
+        this.rebuildAsteroidGrid();
+        
+        // Дрейфующие астероиды появляются вне зон появления и не друг на друге
+        for (let i = 0; i < this.map.drifting; i++) {
+            const r = DRIFTING_ASTEROID_RADIUS.min + this.random() * (DRIFTING_ASTEROID_RADIUS.max - DRIFTING_ASTEROID_RADIUS.min);
+            const spot = this.findClearSpot(r + 20, r + 20, spot => !this.inSpawnZone(spot, r));
+            if (!spot) continue;
+            
+            const angle = this.random() * Math.PI * 2;
+            const speed = DRIFTING_ASTEROID_SPEED.min + this.random() * (DRIFTING_ASTEROID_SPEED.max - DRIFTING_ASTEROID_SPEED.min);
+            this.asteroids.push({
+                id: this.asteroids.length + 1,
+                x: spot.x,
+                y: spot.y,
+                r: Math.round(r),
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                drifting: true
+            });
+            this.rebuildAsteroidGrid();
+        }
+        
+        this.rebuildShipGrid(this.time);
+        this.resetFlags();
+    }
+
+    mapInfo() {
+        return {
+            id: this.config.map,
+            name: this.map.name,
+            size: this.map.size,
+            wrap: this.map.wrap,
+            asteroids: this.asteroids.filter(asteroid => !asteroid.drifting).map(({ id, x, y, r }) => ({ id, x, y, r })),
+            spawnZones: this.map.spawnZones,
+            flagBases: this.map.flagBases
+        };
+    }
+
+    distance(a, b) {
+        return Math.hypot(wrapDelta(a.x - b.x, this.physics), wrapDelta(a.y - b.y, this.physics));
+    }
+
+    inSpawnZone(spot, margin) {
+        return Object.values(this.map.spawnZones).some(zones => zones.some(zone =>
+            spot.x > zone.x - margin && spot.x < zone.x + zone.w + margin &&
+            spot.y > zone.y - margin && spot.y < zone.y + zone.h + margin));
+    }
+
+    isClear(x, y, radius) {
+        for (const asteroid of this.asteroidGrid.query(x, y, radius)) {
+            if (this.distance({ x, y }, asteroid) < asteroid.r + radius) return false;
+        }
+        return true;
+    }
+
+    // Случайная свободная от астероидов точка карты не ближе margin к краям
+    findClearSpot(radius, margin, accept) {
+        const size = this.physics.worldSize;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const spot = { x: margin + this.random() * (size - margin * 2), y: margin + this.random() * (size - margin * 2) };
+            if (this.isClear(spot.x, spot.y, radius) && (!accept || accept(spot))) return spot;
+        }
+        return null;
+    }
+
+    rebuildAsteroidGrid() {
+        this.asteroidGrid = new SpatialHash(SPATIAL_CELL_SIZE, this.physics);
+        for (const asteroid of this.asteroids) {
+            this.asteroidGrid.insert(asteroid, asteroid.x, asteroid.y, asteroid.r);
+        }
+    }
+
+    // Корабль попадает в ячейки всех позиций, по которым его могут проверить с перемоткой
+    rebuildShipGrid(now) {
+        this.shipGrid = new SpatialHash(SPATIAL_CELL_SIZE, this.physics);
+        const since = now - this.maxRewindMs - PHYSICS.tickMs;
+        
+        for (const player of this.activePlayers()) {
+            if (player.dead) continue;
+            
+            let minX = 0, maxX = 0, minY = 0, maxY = 0;
+            for (let i = this.positionHistory.length - 1; i >= 0 && this.positionHistory[i].time >= since; i--) {
+                const position = this.positionHistory[i].positions.get(player.id);
+                if (!position) continue;
+                const dx = wrapDelta(position.x - player.x, this.physics);
+                const dy = wrapDelta(position.y - player.y, this.physics);
+                minX = Math.min(minX, dx);
+                maxX = Math.max(maxX, dx);
+                minY = Math.min(minY, dy);
+                maxY = Math.max(maxY, dy);
+            }
+            
+            this.shipGrid.insert(player, player.x + (minX + maxX) / 2, player.y + (minY + maxY) / 2,
+                Math.hypot(maxX - minX, maxY - minY) / 2 + SHIP_RADIUS);
+        }
+    }
+
+    updateAsteroids() {
+        const size = this.physics.worldSize;
+        let moved = false;
+        
+        for (const asteroid of this.asteroids) {
+            if (!asteroid.drifting) continue;
+            moved = true;
+            asteroid.x += asteroid.vx;
+            asteroid.y += asteroid.vy;
+            
+            if (this.physics.wrap) {
+                asteroid.x = (asteroid.x % size + size) % size;
+                asteroid.y = (asteroid.y % size + size) % size;
+                continue;
+            }
+            
+            // Отскок от краев открытой карты
+            if (asteroid.x < asteroid.r || asteroid.x > size - asteroid.r) {
+                asteroid.x = Math.max(asteroid.r, Math.min(size - asteroid.r, asteroid.x));
+                asteroid.vx = -asteroid.vx;
+            }
+            if (asteroid.y < asteroid.r || asteroid.y > size - asteroid.r) {
+                asteroid.y = Math.max(asteroid.r, Math.min(size - asteroid.r, asteroid.y));
+                asteroid.vy = -asteroid.vy;
+            }
+        }
+        if (!moved) return;
+        
+        this.rebuildAsteroidGrid();
+        for (const asteroid of this.asteroids) {
+            if (!asteroid.drifting) continue;
+            for (const other of this.asteroidGrid.query(asteroid.x, asteroid.y, asteroid.r)) {
+                // Пару из двух дрейфующих обрабатываем один раз
+                if (other === asteroid || (other.drifting && other.id < asteroid.id)) continue;
+                this.collideAsteroids(asteroid, other);
+            }
+        }
+    }
+
+    // Нормаль и глубина пересечения двух кругов
+    contact(a, radiusA, b, radiusB) {
+        const dx = wrapDelta(a.x - b.x, this.physics);
+        const dy = wrapDelta(a.y - b.y, this.physics);
+        const dist = Math.hypot(dx, dy);
+        const overlap = radiusA + radiusB - dist;
+        if (overlap <= 0 || dist === 0) return null;
+        return { nx: dx / dist, ny: dy / dist, overlap };
+    }
+
+    // Астероиды для кораблей неподвижная стена: корабль выталкивается и отражается
+    collideShip(player, asteroid) {
+        const hit = this.contact(player, SHIP_RADIUS, asteroid, asteroid.r);
+        if (!hit) return;
+        
+        player.x += hit.nx * hit.overlap;
+        player.y += hit.ny * hit.overlap;
+        this.confine(player);
+        
+        const approach = (player.vx - asteroid.vx) * hit.nx + (player.vy - asteroid.vy) * hit.ny;
+        if (approach < 0) {
+            player.vx -= (1 + ASTEROID_BOUNCE) * approach * hit.nx;
+            player.vy -= (1 + ASTEROID_BOUNCE) * approach * hit.ny;
+        }
+    }
+
+    // Упругое столкновение, масса пропорциональна площади; статичный астероид не сдвигается
+    collideAsteroids(a, b) {
+        const hit = this.contact(a, a.r, b, b.r);
+        if (!hit) return;
+        
+        const massA = a.r * a.r;
+        const massB = b.drifting ? b.r * b.r : Infinity;
+        const shareA = massB === Infinity ? 1 : massB / (massA + massB);
+        a.x += hit.nx * hit.overlap * shareA;
+        a.y += hit.ny * hit.overlap * shareA;
+        b.x -= hit.nx * hit.overlap * (1 - shareA);
+        b.y -= hit.ny * hit.overlap * (1 - shareA);
+        
+        const approach = (a.vx - b.vx) * hit.nx + (a.vy - b.vy) * hit.ny;
+        if (approach >= 0) return;
+        
+        const impulse = massB === Infinity ? 2 * approach : 2 * approach * massB / (massA + massB);
+        a.vx -= impulse * hit.nx;
+        a.vy -= impulse * hit.ny;
+        if (massB !== Infinity) {
+            b.vx += 2 * approach * massA / (massA + massB) * hit.nx;
+            b.vy += 2 * approach * massA / (massA + massB) * hit.ny;
+        }
+    }
+
+    confine(entity) {
+        const size = this.physics.worldSize;
+        if (this.physics.wrap) {
+            entity.x = (entity.x % size + size) % size;
+            entity.y = (entity.y % size + size) % size;
+        } else {
+            entity.x = Math.max(0, Math.min(size, entity.x));
+            entity.y = Math.max(0, Math.min(size, entity.y));
+        }
+    }
+
+    // Щит поглощает урон раньше корпуса
+    applyDamage(player, damage) {
+        const absorbed = Math.min(player.shield, damage);
+        player.shield -= absorbed;
+        player.health -= damage - absorbed;
+    }
+
+    // Ракета доворачивает к ближайшему противнику с ограниченной угловой скоростью
+    steerMissile(bullet, weapon) {
+        let target = null;
+        let best = weapon.seekRange;
+        for (const player of this.shipGrid.query(bullet.x, bullet.y, weapon.seekRange)) {
+            if (player.id === bullet.owner) continue;
+            if (bullet.team && bullet.team === player.team) continue;
+            
+            const dist = this.distance(player, bullet);
+            if (dist < best) {
+                best = dist;
+                target = player;
+            }
+        }
+        if (!target) return;
+        
+        const heading = Math.atan2(bullet.vy, bullet.vx);
+        let turn = Math.atan2(wrapDelta(target.y - bullet.y, this.physics), wrapDelta(target.x - bullet.x, this.physics)) - heading;
+        if (turn > Math.PI) turn -= Math.PI * 2;
+        if (turn < -Math.PI) turn += Math.PI * 2;
+        
+        const angle = heading + Math.max(-weapon.turnRate, Math.min(weapon.turnRate, turn));
+        const speed = Math.hypot(bullet.vx, bullet.vy);
+        bullet.vx = Math.cos(angle) * speed;
+        bullet.vy = Math.sin(angle) * speed;
+    }
+
+    updatePickups(now) {
+        let changed = null;
+        
+        if (this.pickups.length < MAX_PICKUPS && now - this.lastPickupSpawn >= PICKUP_SPAWN_INTERVAL) {
+            const types = Object.keys(PICKUPS);
+            const spot = this.findClearSpot(PICKUP_RADIUS, 100);
+            if (spot) {
+                this.pickups.push({ id: this.pickupId++, type: types[Math.floor(this.random() * types.length)], ...spot });
+                changed = { kind: 'spawned' };
+            }
+            this.lastPickupSpawn = now;
+        }
+        
+        if (this.damageEnabled()) {
+            for (const player of this.activePlayers()) {
+                if (player.dead) continue;
+                
+                for (let i = this.pickups.length - 1; i >= 0; i--) {
+                    const pickup = this.pickups[i];
+                    if (this.distance(player, pickup) > PICKUP_RADIUS + SHIP_RADIUS) continue;
+                    if (!this.applyPickup(player, PICKUPS[pickup.type], now)) continue;
+                    
+                    this.pickups.splice(i, 1);
+                    changed = { kind: 'taken', type: pickup.type, player: player.id };
+                }
+            }
+        }
+        
+        if (changed) this.emit({ type: 'pickups', pickups: this.pickupInfo(), event: changed });
+    }
+
+    applyPickup(player, pickup, now) {
+        if (pickup.health) {
+            if (player.health >= 100) return false; // целому кораблю ремкомплект не нужен
+            player.health = Math.min(100, player.health + pickup.health);
+        }
+        if (pickup.shield) {
+            player.shield = pickup.shield;
+            player.shieldUntil = now + pickup.duration;
+        }
+        if (pickup.weapon) {
+            const weapon = WEAPONS[pickup.weapon];
+            player.arsenal[pickup.weapon] = Math.min(weapon.ammo * 3, (player.arsenal[pickup.weapon] || 0) + weapon.ammo);
+            if (player.weapon === DEFAULT_WEAPON) player.weapon = pickup.weapon;
+            this.sendLoadout(player);
+        }
+        this.dirty = true;
+        return true;
+    }
+
+    pickupInfo() {
+        return this.pickups.map(({ id, type, x, y }) => ({ id, type, x: Math.round(x), y: Math.round(y) }));
+    }
+
+    handleKill(player, killer, rewindInfo, weapon) {
+        const live = this.match.phase === 'live';
+        
+        if (killer) {
+            killer.kills++;
+            killer.score += 100;
+            killer.streak++;
+            if (live) {
+                this.hooks.stats(killer, { kills: 1, streak: killer.streak });
+                if (this.config.mode === 'tdm') this.match.teamScores[killer.team]++;
+            }
+        }
+        player.deaths++;
+        player.streak = 0;
+        if (live) this.hooks.stats(player, { deaths: 1 });
+        this.dirty = true;
+        
+        this.emit({ 
+            type: 'kill', 
+            killer: killer?.name || 'Unknown',
+            victim: player.name,
+            x: player.x,
+            y: player.y,
+            weapon,
+            rewind: rewindInfo
+        });
+        
+        this.dropFlag(player);
+        
+        // Корабль возрождается после паузы
+        player.dead = true;
+        player.health = 0;
+        player.vx = 0;
+        player.vy = 0;
+        player.thrust = false;
+        player.respawnAt = this.time + RESPAWN_DELAY;
+        
+        if (live && this.config.mode === 'tdm') this.broadcastMatch();
+    }
+
+    // Точка в зоне появления команды без астероидов и подальше от противников
+    spawnPosition(team) {
+        const zones = this.map.spawnZones[team] || this.map.spawnZones[0];
+        const enemies = this.activePlayers().filter(player => !player.dead && (!team || player.team !== team));
+        
+        let best = null;
+        let bestDistance = -1;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const zone = zones[Math.floor(this.random() * zones.length)];
+            const spot = { x: zone.x + this.random() * zone.w, y: zone.y + this.random() * zone.h };
+            if (!this.isClear(spot.x, spot.y, SHIP_RADIUS * 2)) continue;
+            
+            const nearest = enemies.reduce((min, enemy) => Math.min(min, this.distance(spot, enemy)), Infinity);
+            if (nearest > bestDistance) {
+                best = spot;
+                bestDistance = nearest;
+            }
+        }
+        return best || { x: zones[0].x + zones[0].w / 2, y: zones[0].y + zones[0].h / 2 };
+    }
+
+    respawn(player) {
+        const spawn = this.spawnPosition(player.team);
+        player.x = spawn.x;
+        player.y = spawn.y;
+        player.vx = 0;
+        player.vy = 0;
+        player.health = 100;
+        player.dead = false;
+        player.respawnAt = null;
+        
+        // Подобранное оружие и щит теряются вместе с кораблем
+        player.weapon = DEFAULT_WEAPON;
+        player.arsenal = {};
+        player.shield = 0;
+        player.shieldUntil = null;
+        this.sendLoadout(player);
+    }
+
+    activePlayers() {
+        return Object.values(this.players).filter(player => !player.disconnectedAt);
+    }
+
+    smallestTeam() {
+        const counts = { 1: 0, 2: 0 };
+        for (const player of this.activePlayers()) {
+            if (player.team) counts[player.team]++;
+        }
+        if (counts[1] !== counts[2]) return counts[1] < counts[2] ? 1 : 2;
+        return this.random() < 0.5 ? 1 : 2;
+    }
+
+    setTeam(player, team) {
+        player.team = team;
+        player.color = TEAMS[team].color;
+        this.dropFlag(player);
+        this.emit({ type: 'meta', player: playerMeta(player) });
+    }
+
+    // Перед новым матчем разница в составах команд не больше одного игрока
+    balanceTeams() {
+        if (!GAME_MODES[this.config.mode].teams) return;
+        
+        const teams = { 1: [], 2: [] };
+        for (const player of this.activePlayers()) {
+            teams[player.team].push(player);
+        }
+        
+        while (Math.abs(teams[1].length - teams[2].length) > 1) {
+            const [from, to] = teams[1].length > teams[2].length ? [1, 2] : [2, 1];
+            const player = teams[from].pop();
+            this.setTeam(player, to);
+            teams[to].push(player);
+        }
+    }
+
+    // Смена карты или режима: мир и составы команд строятся заново, матч начинается с разминки.
+    // Клиентам после этого нужен новый init - его отправляет хост
+    resetLayout() {
+        this.bullets = [];
+        this.pickups = [];
+        this.lastPickupSpawn = 0;
+        this.positionHistory = [];
+        this.setupMap();
+        
+        const teams = GAME_MODES[this.config.mode].teams;
+        const players = Object.values(this.players);
+        for (const player of players) player.team = 0;
+        for (const player of players) {
+            player.team = teams ? this.smallestTeam() : 0;
+            player.color = player.team ? TEAMS[player.team].color : this.shipColors[this.colorIndex++ % this.shipColors.length];
+            player.score = 0;
+            player.kills = 0;
+            player.deaths = 0;
+            player.streak = 0;
+            this.respawn(player);
+        }
+        
+        this.match.teamScores = { 1: 0, 2: 0 };
+        this.setPhase('warmup', null);
+    }
+
+    humanCount() {
+        return Object.values(this.players).filter(player => !player.bot).length;
+    }
+
+    // По одному боту за тик, пока число участников не сойдется с целевым
+    updateBotPopulation() {
+        const humans = this.humanCount();
+        const bots = Object.values(this.players).filter(player => player.bot);
+        const wanted = humans ? Math.max(0, Math.min(this.config.bots, this.config.maxPlayers) - humans) : 0;
+        
+        if (bots.length < wanted) {
+            this.addBot();
+        } else if (bots.length > wanted) {
+            // Уходит самый слабый бот из самой большой команды
+            const sizes = { 0: 0, 1: 0, 2: 0 };
+            for (const player of this.activePlayers()) sizes[player.team]++;
+            bots.sort((a, b) => sizes[b.team] - sizes[a.team] || a.score - b.score);
+            this.removePlayer(bots[0].id);
+        }
+    }
+
+    addBot() {
+        const used = new Set(Object.values(this.players).map(player => player.name));
+        const name = BOT_NAMES.find(candidate => !used.has(candidate)) || 'Бот ' + this.nextNid;
+        const bot = this.addPlayer('bot-' + Math.floor(this.random() * 2 ** 32).toString(16).padStart(8, '0'), name, null);
+        bot.bot = this.config.botDifficulty;
+        
+        this.emit({ type: 'join', player: playerMeta(bot) });
+        this.hooks.roster();
+    }
+
+    removeBots() {
+        for (const player of Object.values(this.players)) {
+            if (player.bot) this.removePlayer(player.id);
+        }
+    }
+
+    // Ввод бота на тик: движение он возвращает в том же виде, что присылают люди,
+    // а стреляет через тот же playerShoot. Номер ввода не растет - подтверждать боту нечего
+    runBot(bot, now) {
+        const level = BOT_DIFFICULTIES[bot.bot];
+        let brain = this.botBrains.get(bot.id);
+        if (!brain) {
+            brain = { target: null, goal: null, nextThink: 0, aimError: 0, strafe: 1, dodge: null };
+            this.botBrains.set(bot.id, brain);
+        }
+        if (now >= brain.nextThink) this.botThink(bot, brain, level, now);
+        
+        const target = brain.target && this.players[brain.target];
+        const alive = target && !target.dead && !target.disconnectedAt;
+        const carrying = this.flags && this.flags[3 - bot.team] && this.flags[3 - bot.team].carrier === bot.id;
+        
+        let moveX = 0;
+        let moveY = 0;
+        let angle = bot.angle;
+        let distance = Infinity;
+        
+        if (alive) {
+            const aim = this.leadTarget(bot, target, level);
+            angle = Math.atan2(wrapDelta(aim.y - bot.y, this.physics), wrapDelta(aim.x - bot.x, this.physics)) + brain.aimError;
+            
+            // Держит дистанцию и кружит вокруг цели
+            const dx = wrapDelta(target.x - bot.x, this.physics);
+            const dy = wrapDelta(target.y - bot.y, this.physics);
+            distance = Math.hypot(dx, dy) || 1;
+            const approach = distance > BOT_PREFERRED_RANGE ? 1 : -0.6;
+            moveX = dx / distance * approach - dy / distance * brain.strafe * 0.7;
+            moveY = dy / distance * approach + dx / distance * brain.strafe * 0.7;
+        }
+        
+        // С флагом или без цели бот летит к своей точке: на базу, к флагу или просто по карте
+        if (brain.goal && (carrying || !alive)) {
+            const dx = wrapDelta(brain.goal.x - bot.x, this.physics);
+            const dy = wrapDelta(brain.goal.y - bot.y, this.physics);
+            const length = Math.hypot(dx, dy) || 1;
+            moveX = dx / length;
+            moveY = dy / length;
+            if (!alive) angle = Math.atan2(dy, dx);
+        }
+        
+        if (brain.dodge) {
+            moveX += brain.dodge.x * 2;
+            moveY += brain.dodge.y * 2;
+        }
+        
+        // Облетает астероиды
+        for (const asteroid of this.asteroidGrid.query(bot.x, bot.y, SHIP_RADIUS + 80)) {
+            const dx = wrapDelta(bot.x - asteroid.x, this.physics);
+            const dy = wrapDelta(bot.y - asteroid.y, this.physics);
+            const gap = Math.hypot(dx, dy) - asteroid.r;
+            if (gap < 80) {
+                moveX += dx / (gap + asteroid.r) * 2;
+                moveY += dy / (gap + asteroid.r) * 2;
+            }
+        }
+        
+        // Стреляет, когда цель в пределах дальности оружия; перезарядку проверяет playerShoot
+        const weapon = WEAPONS[bot.weapon];
+        const range = weapon.speed ? weapon.speed * weapon.life * 0.8 : weapon.radius * 3;
+        if (alive && distance < range && this.random() < level.fireRate * 0.3) {
+            this.playerShoot(bot.id, weapon.chargeMs);
+        }
+        
+        return {
+            seq: bot.inputSeq,
+            angle,
+            keys: { up: moveY < -0.3, down: moveY > 0.3, left: moveX < -0.3, right: moveX > 0.3, boost: false }
+        };
+    }
+
+    botThink(bot, brain, level, now) {
+        brain.nextThink = now + level.reactionMs * (0.75 + this.random() * 0.5);
+        brain.aimError = (this.random() * 2 - 1) * level.aimError;
+        if (this.random() < 0.3) brain.strafe = -brain.strafe;
+        
+        // Ближайший видимый противник
+        brain.target = null;
+        let best = level.sight;
+        for (const player of this.shipGrid.query(bot.x, bot.y, level.sight)) {
+            if (player.id === bot.id || (bot.team && player.team === bot.team)) continue;
+            const distance = this.distance(bot, player);
+            if (distance < best) {
+                best = distance;
+                brain.target = player.id;
+            }
+        }
+        
+        brain.goal = this.botGoal(bot, brain);
+        brain.dodge = this.random() < level.dodge ? this.findDodge(bot) : null;
+    }
+
+    botGoal(bot, brain) {
+        if (this.flags && bot.team) {
+            const enemyFlag = this.flags[3 - bot.team];
+            if (enemyFlag.carrier === bot.id) return this.flagBase(bot.team);
+            if (!enemyFlag.carrier) return { x: enemyFlag.x, y: enemyFlag.y };
+        }
+        
+        // Без задачи - случайная точка, новая по прибытии
+        if (!brain.goal || this.distance(bot, brain.goal) < 100) {
+            return this.findClearSpot(SHIP_RADIUS * 2, 100) || { x: this.physics.worldSize / 2, y: this.physics.worldSize / 2 };
+        }
+        return brain.goal;
+    }
+
+    // Точка упреждения: где окажется цель, пока до нее летит снаряд
+    leadTarget(bot, target, level) {
+        const speed = WEAPONS[bot.weapon].speed;
+        if (!speed || !level.lead) return target;
+        
+        let time = this.distance(bot, target) / speed;
+        let point = target;
+        for (let i = 0; i < 2; i++) {
+            point = { x: target.x + target.vx * time * level.lead, y: target.y + target.vy * time * level.lead };
+            time = this.distance(bot, point) / speed;
+        }
+        return point;
+    }
+
+    // Направление уклонения от снаряда, который пройдет ближе всего в ближайшую секунду
+    findDodge(bot) {
+        let threat = null;
+        let closest = SHIP_RADIUS * 3;
+        for (const bullet of this.bullets) {
+            if (bullet.owner === bot.id || (bullet.team && bullet.team === bot.team)) continue;
+            
+            const dx = wrapDelta(bot.x - bullet.x, this.physics);
+            const dy = wrapDelta(bot.y - bullet.y, this.physics);
+            const speedSq = bullet.vx * bullet.vx + bullet.vy * bullet.vy;
+            if (!speedSq) continue;
+            
+            const time = (dx * bullet.vx + dy * bullet.vy) / speedSq;
+            if (time <= 0 || time > 30) continue;
+            
+            const missX = dx - bullet.vx * time;
+            const missY = dy - bullet.vy * time;
+            const miss = Math.hypot(missX, missY);
+            if (miss < closest) {
+                closest = miss;
+                // Уходим поперек траектории в ту сторону, куда снаряд и так промахивается
+                const speed = Math.sqrt(speedSq);
+                const side = missX * -bullet.vy + missY * bullet.vx >= 0 ? 1 : -1;
+                threat = { x: -bullet.vy / speed * side, y: bullet.vx / speed * side };
+            }
+        }
+        return threat;
+    }
+
+    damageEnabled() {
+        return this.match.phase === 'warmup' || this.match.phase === 'live';
+    }
+
+    // Фазы: warmup -> countdown -> live -> round_end -> intermission -> countdown ...
+    updateMatch(now) {
+        const match = this.match;
+        const enoughPlayers = this.activePlayers().length >= MIN_MATCH_PLAYERS;
+        
+        switch (match.phase) {
+            case 'warmup':
+                if (enoughPlayers) this.setPhase('countdown', PHASE_DURATIONS.countdown);
+                break;
+            case 'countdown':
+                if (!enoughPlayers) this.setPhase('warmup', null);
+                else if (now >= match.endsAt) this.startMatch();
+                break;
+            case 'live':
+                if (!enoughPlayers || now >= match.endsAt || this.scoreLimitReached()) this.endMatch();
+                break;
+            case 'round_end':
+                if (now >= match.endsAt) {
+                    this.balanceTeams();
+                    this.setPhase('intermission', PHASE_DURATIONS.intermission);
+                }
+                break;
+            case 'intermission':
+                if (now >= match.endsAt) {
+                    if (enoughPlayers) this.setPhase('countdown', PHASE_DURATIONS.countdown);
+                    else this.setPhase('warmup', null);
+                }
+                break;
+        }
+    }
+
+    setPhase(phase, duration) {
+        this.match.phase = phase;
+        this.match.endsAt = duration ? this.time + duration : null;
+        if (phase !== 'round_end') this.match.results = null;
+        this.dirty = true;
+        this.broadcastMatch();
+        this.hooks.phase(phase);
+    }
+
+    startMatch() {
+        this.match.teamScores = { 1: 0, 2: 0 };
+        for (const player of Object.values(this.players)) {
+            player.score = 0;
+            player.kills = 0;
+            player.deaths = 0;
+            player.streak = 0;
+            this.respawn(player);
+        }
+        this.bullets = [];
+        this.pickups = [];
+        this.lastPickupSpawn = 0;
+        this.emit({ type: 'pickups', pickups: [], event: null });
+        this.resetFlags();
+        this.broadcastFlags(null);
+        this.setPhase('live', this.config.timeLimit * 1000);
+    }
+
+    endMatch() {
+        this.match.results = this.matchResults();
+        for (const player of this.activePlayers()) {
+            this.hooks.stats(player, { matches: 1 });
+        }
+        this.setPhase('round_end', PHASE_DURATIONS.round_end);
+    }
+
+    scoreLimitReached() {
+        const limit = this.config.scoreLimit;
+        if (GAME_MODES[this.config.mode].teams) {
+            return this.match.teamScores[1] >= limit || this.match.teamScores[2] >= limit;
+        }
+        return this.activePlayers().some(player => player.kills >= limit);
+    }
+
+    matchResults() {
+        const standings = this.activePlayers()
+            .sort((a, b) => b.score - a.score)
+            .map(player => ({
+                id: player.id,
+                name: player.name,
+                bot: !!player.bot,
+                team: player.team,
+                score: player.score,
+                kills: player.kills,
+                deaths: player.deaths
+            }));
+        
+        let winner = null;
+        if (GAME_MODES[this.config.mode].teams) {
+            const scores = this.match.teamScores;
+            if (scores[1] !== scores[2]) winner = { team: scores[1] > scores[2] ? 1 : 2 };
+        } else if (standings.length) {
+            winner = { id: standings[0].id, name: standings[0].name };
+        }
+        
+        return { winner, teamScores: { ...this.match.teamScores }, standings: standings.slice(0, 10) };
+    }
+
+    matchInfo() {
+        return {
+            mode: this.config.mode,
+            phase: this.match.phase,
+            endsIn: this.match.endsAt ? Math.max(0, this.match.endsAt - this.time) : null,
+            timeLimit: this.config.timeLimit,
+            scoreLimit: this.config.scoreLimit,
+            teamScores: this.match.teamScores,
+            results: this.match.results
+        };
+    }
+
+    broadcastMatch() {
+        this.emit({ type: 'match', match: this.matchInfo() });
+    }
+
+    // Захват флага: флаги стоят на базах, которые задает карта
+    flagBase(team) {
+        const base = this.map.flagBases[team];
+        return { x: base.x, y: base.y };
+    }
+
+    resetFlags() {
+        if (!this.config || this.config.mode !== 'ctf') {
+            this.flags = null;
+            return;
+        }
+        
+        this.flags = {};
+        for (const team of [1, 2]) {
+            this.flags[team] = { team, ...this.flagBase(team), carrier: null, droppedAt: null };
+        }
+    }
+
+    returnFlag(flag) {
+        Object.assign(flag, this.flagBase(flag.team), { carrier: null, droppedAt: null });
+    }
+
+    dropFlag(player) {
+        if (!this.flags) return;
+        
+        for (const flag of Object.values(this.flags)) {
+            if (flag.carrier !== player.id) continue;
+            flag.carrier = null;
+            flag.droppedAt = this.time;
+            flag.x = player.x;
+            flag.y = player.y;
+            this.broadcastFlags({ kind: 'dropped', team: flag.team, player: player.name });
+        }
+    }
+
+    updateFlags(now) {
+        if (!this.flags) return;
+        
+        for (const flag of Object.values(this.flags)) {
+            if (flag.carrier) {
+                const carrier = this.players[flag.carrier];
+                if (!carrier || carrier.disconnectedAt || carrier.dead) {
+                    this.dropFlag(carrier || { id: flag.carrier, name: '', x: flag.x, y: flag.y });
+                } else {
+                    flag.x = carrier.x;
+                    flag.y = carrier.y;
+                }
+            } else if (flag.droppedAt && now - flag.droppedAt >= FLAG_RETURN_TIME) {
+                this.returnFlag(flag);
+                this.broadcastFlags({ kind: 'returned', team: flag.team });
+            }
+        }
+        
+        if (!this.damageEnabled()) return;
+        
+        for (const player of this.activePlayers()) {
+            if (player.dead) continue;
+            
+            for (const flag of Object.values(this.flags)) {
+                if (flag.carrier || this.distance(player, flag) > FLAG_RADIUS) continue;
+                
+                if (flag.team !== player.team) {
+                    flag.carrier = player.id;
+                    flag.droppedAt = null;
+                    this.broadcastFlags({ kind: 'taken', team: flag.team, player: player.name });
+                } else if (flag.droppedAt) {
+                    this.returnFlag(flag);
+                    this.broadcastFlags({ kind: 'returned', team: flag.team, player: player.name });
+                }
+            }
+            
+            // Очко за доставку чужого флага на свою базу, пока свой флаг на месте
+            const own = this.flags[player.team];
+            const enemy = this.flags[3 - player.team];
+            const base = this.flagBase(player.team);
+            if (enemy.carrier === player.id && !own.carrier && !own.droppedAt &&
+                this.distance(player, base) <= FLAG_RADIUS) {
+                this.returnFlag(enemy);
+                player.score += 300;
+                if (this.match.phase === 'live') this.match.teamScores[player.team]++;
+                this.dirty = true;
+                this.broadcastFlags({ kind: 'captured', team: enemy.team, player: player.name });
+                this.broadcastMatch();
+            }
+        }
+    }
+
+    flagInfo() {
+        if (!this.flags) return [];
+        return Object.values(this.flags).map(flag => ({
+            team: flag.team,
+            x: flag.x,
+            y: flag.y,
+            base: this.flagBase(flag.team),
+            carrier: flag.carrier
+        }));
+    }
+
+    broadcastFlags(event) {
+        this.emit({ type: 'flags', flags: this.flagInfo(), event });
+    }
+
+    recordPositions() {
+        const positions = new Map();
+        for (const [playerId, player] of Object.entries(this.players)) {
+            positions.set(playerId, { x: player.x, y: player.y });
+        }
+        
+        const now = this.time;
+        this.positionHistory.push({ tick: this.tick, time: now, positions });
+        while (this.positionHistory.length && now - this.positionHistory[0].time > POSITION_HISTORY_MS) {
+            this.positionHistory.shift();
+        }
+    }
+
+    // Два соседних кадра истории вокруг момента time и доля между ними
+    findRewindFrames(time) {
+        const history = this.positionHistory;
+        if (!history.length || time >= history[history.length - 1].time) return null;
+        
+        let index = history.length - 1;
+        while (index > 0 && history[index - 1].time > time) index--;
+        if (index === 0) return { from: history[0], to: history[0], t: 0 };
+        
+        const from = history[index - 1];
+        const to = history[index];
+        return { from, to, t: (time - from.time) / (to.time - from.time) };
+    }
+
+    rewindPosition(playerId, player, rewind) {
+        const from = rewind && rewind.from.positions.get(playerId);
+        const to = rewind && rewind.to.positions.get(playerId);
+        if (!from || !to) return player;
+        
+        return {
+            x: from.x + wrapDelta(to.x - from.x, this.physics) * rewind.t,
+            y: from.y + wrapDelta(to.y - from.y, this.physics) * rewind.t
+        };
+    }
+}
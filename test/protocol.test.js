@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, matchSettings } from '../simulation.js';
+import {
+    MAX_INPUTS_PER_TICK, SNAPSHOT_MESSAGE, encodeSnapshot, queueInput, resetInputs, takeInputs, worldSnapshot
+} from '../protocol.js';
+
+function session(count) {
+    return { inputs: Array.from({ length: count }, (_, i) => ({ seq: i + 1 })), inputBudget: 0 };
+}
+
+test('за тик применяется один ввод, сколько бы их ни пришло', () => {
+    const flood = session(30);
+    const taken = [];
+    for (let tick = 0; tick < 10; tick++) taken.push(takeInputs(flood).length);
+    assert.deepEqual(taken, Array(10).fill(1));
+});
+
+test('запас после паузы ограничен MAX_INPUTS_PER_TICK', () => {
+    const late = session(0);
+    for (let tick = 0; tick < 10; tick++) takeInputs(late);
+    late.inputs = session(10).inputs;
+    assert.equal(takeInputs(late).length, MAX_INPUTS_PER_TICK);
+    assert.equal(takeInputs(late).length, 1);
+});
+
+test('после повторного init номера вводов идут заново с inputSeq корабля', () => {
+    const relaid = session(0);
+    for (let seq = 1; seq <= 10; seq++) queueInput(relaid, { seq });
+    const inputSeq = takeInputs(relaid).at(-1).seq;
+
+    queueInput(relaid, { seq: inputSeq + 1 });
+    assert.equal(relaid.inputs.length, 9);
+
+    resetInputs(relaid);
+    queueInput(relaid, { seq: inputSeq + 1 });
+    assert.deepEqual(relaid.inputs, [{ seq: inputSeq + 1 }]);
+});
+
+test('снапшот несет тик симуляции, а не номер рассылки', () => {
+    const sim = new Simulation({ ...matchSettings({ bots: 0 }), maxPlayers: 8 }, { seed: 1 });
+    sim.addPlayer('a', 'Ann', null);
+    for (let i = 0; i < 5; i++) sim.step();
+
+    const view = new DataView(encodeSnapshot(2, worldSnapshot(sim), 0, null));
+    assert.equal(view.getUint8(0), SNAPSHOT_MESSAGE);
+    assert.equal(view.getUint32(1, true), 2);
+    assert.equal(view.getUint32(9, true), 5);
+});
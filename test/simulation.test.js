@@ -0,0 +1,252 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, matchSettings, MAPS, PHYSICS, RESPAWN_DELAY, SHIP_RADIUS, WEAPONS } from '../simulation.js';
+
+function createSim(settings = {}, options = {}) {
+    const events = [];
+    const stats = [];
+    const sim = new Simulation({ ...matchSettings({ bots: 0, ...settings }), maxPlayers: 8 }, {
+        seed: 42,
+        ...options,
+        hooks: {
+            broadcast: message => events.push(message),
+            stats: (player, delta) => stats.push({ id: player.id, ...delta })
+        }
+    });
+    return { sim, events, stats };
+}
+
+function steps(sim, count, inputs = () => ({})) {
+    for (let i = 0; i < count; i++) sim.step(inputs(sim.tick + 1));
+}
+
+// Два игрока друг напротив друга на пустом участке карты, матч уже идет
+function duel(settings) {
+    const { sim, events, stats } = createSim(settings);
+    const a = sim.addPlayer('a', 'Ann', 'profile-a');
+    const b = sim.addPlayer('b', 'Bob', 'profile-b');
+    sim.startMatch();
+    Object.assign(a, { x: 400, y: 1000, vx: 0, vy: 0, angle: 0 });
+    Object.assign(b, { x: 460, y: 1000, vx: 0, vy: 0 });
+    steps(sim, 10);
+    return { sim, events, stats, a, b };
+}
+
+function worldState(sim) {
+    return JSON.stringify({ tick: sim.tick, players: sim.players, bullets: sim.bullets, asteroids: sim.asteroids, pickups: sim.pickups, match: sim.match });
+}
+
+test('одно зерно и один сценарий вводов дают один и тот же мир', () => {
+    const script = tick => ({ a: [{ seq: tick, angle: tick / 40, keys: { up: tick % 5 < 3, left: tick % 7 < 2, boost: tick % 50 < 5 } }] });
+    const run = seed => {
+        const { sim } = createSim({ map: 'belt', bots: 4 }, { seed });
+        sim.addPlayer('a', 'Ann', null);
+        steps(sim, 2000, script);
+        return worldState(sim);
+    };
+
+    assert.equal(run(7), run(7));
+    assert.notEqual(run(7), run(8));
+});
+
+test('время считается по тикам фиксированной длины', () => {
+    const { sim } = createSim();
+    steps(sim, 30);
+    assert.equal(sim.tick, 30);
+    assert.equal(sim.time, 30 * PHYSICS.tickMs);
+});
+
+test('сохраненная симуляция продолжается так же, как исходная', () => {
+    const script = tick => ({ a: [{ seq: tick, angle: 1, keys: { right: tick % 3 === 0 } }] });
+    const { sim } = createSim({ map: 'belt', bots: 2 }, { seed: 3 });
+    sim.addPlayer('a', 'Ann', null);
+    steps(sim, 100, script);
+
+    const { sim: copy } = createSim({ map: 'belt', bots: 2 }, { seed: 3 });
+    copy.load(sim.save(), structuredClone(sim.players));
+    copy.asteroids = structuredClone(sim.asteroids);
+    copy.rebuildAsteroidGrid();
+
+    // Боты думают заново после загрузки, поэтому сверяется только человек
+    steps(sim, 50, script);
+    steps(copy, 50, script);
+    assert.deepEqual(copy.players.a, sim.players.a);
+});
+
+test('тяга разгоняет корабль, трение его тормозит', () => {
+    const { sim } = createSim();
+    const ship = sim.addPlayer('a', 'Ann', null);
+    Object.assign(ship, { x: 1000, y: 1000 });
+
+    steps(sim, 1, tick => ({ a: [{ seq: tick, angle: 0, keys: { right: true } }] }));
+    assert.ok(Math.abs(ship.vx - PHYSICS.thrust * PHYSICS.friction) < 1e-9);
+    assert.ok(ship.x > 1000);
+    assert.equal(ship.inputSeq, 1);
+
+    const speed = ship.vx;
+    steps(sim, 1, tick => ({ a: [{ seq: tick, angle: 0, keys: {} }] }));
+    assert.ok(ship.vx < speed);
+});
+
+test('аналоговая тяга дает долю ускорения и не складывается с клавишей сверх предела', () => {
+    const { sim } = createSim();
+    const ship = sim.addPlayer('a', 'Ann', null);
+    const other = sim.addPlayer('b', 'Bob', null);
+    Object.assign(ship, { x: 1000, y: 1000 });
+    Object.assign(other, { x: 1500, y: 1500 });
+
+    steps(sim, 1, tick => ({
+        a: [{ seq: tick, angle: 0, move: { x: 0.5, y: -0.25 } }],
+        b: [{ seq: tick, angle: 0, keys: { right: true }, move: { x: 1, y: 0 } }]
+    }));
+    assert.ok(Math.abs(ship.vx - 0.5 * PHYSICS.thrust * PHYSICS.friction) < 1e-9);
+    assert.ok(Math.abs(ship.vy + 0.25 * PHYSICS.thrust * PHYSICS.friction) < 1e-9);
+    assert.equal(ship.thrust, true);
+    assert.ok(Math.abs(other.vx - PHYSICS.thrust * PHYSICS.friction) < 1e-9);
+});
+
+test('скорость ограничена, а корабль упирается в край открытой карты', () => {
+    const { sim } = createSim({ map: 'open' });
+    const ship = sim.addPlayer('a', 'Ann', null);
+    Object.assign(ship, { x: 100, y: 1000 });
+
+    steps(sim, 100, tick => ({ a: [{ seq: tick, angle: Math.PI, keys: { left: true } }] }));
+    assert.equal(ship.x, 0);
+    assert.ok(Math.hypot(ship.vx, ship.vy) <= PHYSICS.maxSpeed + 1e-9);
+});
+
+test('на замкнутой карте корабль переходит на другую сторону', () => {
+    const { sim } = createSim({ map: 'torus' });
+    const ship = sim.addPlayer('a', 'Ann', null);
+    Object.assign(ship, { x: 5, y: 300, vx: -10, vy: 0 });
+
+    steps(sim, 1, tick => ({ a: [{ seq: tick, angle: 0, keys: {} }] }));
+    assert.ok(ship.x > sim.physics.worldSize - 10);
+});
+
+test('астероид выталкивает корабль и отбрасывает его', () => {
+    const { sim } = createSim({ map: 'belt' });
+    const ship = sim.addPlayer('a', 'Ann', null);
+    const rock = sim.asteroids.find(asteroid => !asteroid.drifting);
+    Object.assign(ship, { x: rock.x - rock.r - SHIP_RADIUS + 5, y: rock.y, vx: 5, vy: 0 });
+
+    steps(sim, 1);
+    const distance = Math.hypot(ship.x - rock.x, ship.y - rock.y);
+    assert.ok(distance >= rock.r + SHIP_RADIUS - 1e-6);
+    assert.ok(ship.vx < 0);
+});
+
+test('астероид останавливает снаряд', () => {
+    const { sim, events } = createSim({ map: 'belt' });
+    const ship = sim.addPlayer('a', 'Ann', null);
+    const rock = sim.asteroids.find(asteroid => !asteroid.drifting);
+    Object.assign(ship, { x: rock.x - rock.r - 60, y: rock.y, angle: 0 });
+    steps(sim, 10);
+
+    sim.playerShoot('a');
+    steps(sim, 10);
+    assert.equal(sim.bullets.length, 0);
+    assert.ok(events.some(event => event.type === 'hit' && event.target === null));
+});
+
+test('попадание отнимает здоровье с учетом перезарядки', () => {
+    const { sim, events, a, b } = duel();
+
+    sim.playerShoot('a');
+    sim.playerShoot('a'); // еще идет перезарядка
+    assert.equal(sim.bullets.length, 1);
+
+    steps(sim, 5);
+    assert.equal(b.health, 100 - WEAPONS.blaster.damage);
+    assert.ok(events.some(event => event.type === 'hit' && event.shooter === a.id && event.target === b.id));
+});
+
+test('убийство приносит очки и попадает в статистику', () => {
+    const { sim, events, stats, a, b } = duel();
+    b.health = 10;
+
+    sim.playerShoot('a');
+    steps(sim, 5);
+    assert.equal(b.dead, true);
+    assert.equal(b.deaths, 1);
+    assert.equal(a.kills, 1);
+    assert.equal(a.score, 100);
+    assert.equal(a.streak, 1);
+
+    const kill = events.find(event => event.type === 'kill');
+    assert.equal(kill.killer, 'Ann');
+    assert.equal(kill.victim, 'Bob');
+    assert.deepEqual(stats, [{ id: 'a', kills: 1, streak: 1 }, { id: 'b', deaths: 1 }]);
+});
+
+test('в командном бою убийство идет в счет команды', () => {
+    const { sim, a, b } = duel({ mode: 'tdm' });
+    assert.notEqual(a.team, b.team);
+    b.health = 10;
+
+    sim.playerShoot('a');
+    steps(sim, 5);
+    assert.equal(sim.match.teamScores[a.team], 1);
+    assert.equal(sim.match.teamScores[b.team], 0);
+});
+
+test('бот ведет корабль вводом, который step применяет так же, как ввод людей', () => {
+    const { sim } = createSim({ bots: 2 });
+    sim.addPlayer('a', 'Ann', null);
+    steps(sim, 1);
+    const bot = Object.values(sim.players).find(player => player.bot);
+    Object.assign(bot, { vx: 0, vy: 0 });
+
+    sim.runBot = () => ({ seq: bot.inputSeq, angle: 0.5, keys: { right: true } });
+    steps(sim, 1);
+    assert.ok(bot.vx > 0);
+    assert.equal(bot.angle, 0.5);
+    assert.equal(bot.inputSeq, 0);
+});
+
+test('уничтоженный корабль не стреляет и возрождается через паузу', () => {
+    const { sim, b } = duel();
+    b.health = 10;
+    sim.playerShoot('a');
+    steps(sim, 5);
+    assert.equal(b.dead, true);
+
+    sim.playerShoot('b');
+    assert.equal(sim.bullets.filter(bullet => bullet.owner === 'b').length, 0);
+
+    const ticks = Math.ceil(RESPAWN_DELAY / PHYSICS.tickMs);
+    steps(sim, ticks - 5);
+    assert.equal(b.dead, true);
+    steps(sim, 5);
+    assert.equal(b.dead, false);
+    assert.equal(b.health, 100);
+    assert.equal(b.deaths, 1);
+});
+
+test('лимит очков завершает матч', () => {
+    const { sim, a, b } = duel({ scoreLimit: 1 });
+    b.health = 10;
+    sim.playerShoot('a');
+    steps(sim, 5);
+
+    assert.equal(sim.match.phase, 'round_end');
+    assert.equal(sim.match.results.winner.id, 'a');
+});
+
+test('смена карты заново раскладывает мир и сбрасывает раунд', () => {
+    const { sim, a, b } = duel({ mode: 'ffa' });
+    a.score = 300;
+    b.dead = true;
+    sim.playerShoot('a');
+    sim.config.mode = 'tdm';
+    sim.config.map = 'belt';
+    sim.resetLayout();
+
+    assert.equal(sim.map.name, MAPS.belt.name);
+    assert.ok(sim.asteroids.length >= MAPS.belt.asteroids.length);
+    assert.equal(sim.bullets.length, 0);
+    assert.equal(sim.match.phase, 'warmup');
+    assert.notEqual(a.team, b.team);
+    assert.equal(a.score, 0);
+    assert.equal(b.dead, false);
+});
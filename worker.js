@@ -1,68 +1,915 @@
-// Cloudflare Workers с Durable Objects для мультиплеерной игры
+// Cloudflare Workers с Durable Objects для мультиплеерной игры.
+// Правила и физика живут в simulation.js, формат сообщений - в protocol.js
+import {
+    GAME_MODES, TEAMS, WEAPONS, WEAPON_TYPES, PICKUPS, PHYSICS, MAPS, DEFAULT_MAP,
+    BOT_DIFFICULTIES, DEFAULT_MAX_REWIND_MS, Simulation, mapPhysics, stepShip, wrapDelta, playerMeta, matchSettings
+} from './simulation.js';
+import {
+    CLOSE_REPLACED, CLOSE_ROOM_FULL, CLOSE_ROOM_NOT_FOUND, CLOSE_KICKED, CLOSE_BANNED, CLOSE_POLICY_VIOLATION,
+    INTERPOLATION_DELAY, MAX_MESSAGE_SIZE, DEFAULT_PLAYER_NAME,
+    CLIENT_MESSAGES, SPECTATOR_MESSAGES, RATE_LIMITS, validateMessage, createBucket, takeToken, takeInputs, queueInput, resetInputs, sanitizeText, sanitizeName,
+    SNAPSHOT_MESSAGE, SNAPSHOT_HISTORY, SNAPSHOT_SCHEMA, SNAPSHOT_GROUPS, FIELD_SIZES, encodeSnapshot, worldSnapshot
+} from './protocol.js';
+
+// Комнаты
+const DEFAULT_ROOM_CODE = 'MAIN';
+const DEFAULT_MAX_PLAYERS = 16;
+const MIN_ROOM_PLAYERS = 2;
+const MAX_ROOM_PLAYERS = 32;
+const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // без похожих I/O/0/1
+const ROOM_IDLE_TTL = 10 * 60 * 1000; // пустые комнаты пропадают из лобби через 10 минут
+const MAX_ROOM_NAME_LENGTH = 24;
+
+const PING_INTERVAL = 2000;
+const MAX_CATCHUP_STEPS = 5; // сколько пропущенных тиков комната догоняет за одно срабатывание будильника
+
+// Возобновление сессии: после обрыва связи слот игрока ждет его с токеном из init
+const DEFAULT_RESUME_GRACE_MS = 30000; // переопределяется переменной RESUME_GRACE_MS
+const RESUME_TOKEN_TTL = 60 * 60 * 1000;
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function importSigningKey(secret) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Токен: base64url(JSON) + '.' + base64url(HMAC-SHA256)
+async function signToken(key, payload) {
+    const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+    return body + '.' + base64UrlEncode(new Uint8Array(signature));
+}
+
+async function verifyToken(key, token) {
+    if (typeof token !== 'string') return null;
+    
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+    
+    try {
+        const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), new TextEncoder().encode(body));
+        if (!valid) return null;
+        
+        const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+        return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Очки и настройки комнаты сохраняются в storage не чаще раза в секунду
+const PERSIST_INTERVAL = 1000;
+
+// Глобальная статистика: комнаты копят изменения и раз в несколько секунд отправляют их в PlayerStats
+const STATS_FLUSH_INTERVAL = 5000;
+const LEADERBOARD_SIZE = 20;
+const LEADERBOARD_PERIODS = ['day', 'week', 'all'];
+const EXPIRING_PERIODS = ['day', 'week', 'season']; // счетчики прошедших периодов удаляются
+const STATS_PAGE_SIZE = 128; // столько ключей читается и удаляется за раз
+
+// Публичный id профиля - хеш секретного ключа из localStorage клиента,
+// поэтому id из таблицы лидеров нельзя использовать, чтобы играть за другого
+async function deriveProfileId(profileKey) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(profileKey));
+    return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isoWeek(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return day.getUTCFullYear() + '-W' + String(week).padStart(2, '0');
+}
+
+// Периоды, в которые попадает событие; сезон - календарный месяц
+function statsBuckets(time) {
+    const date = new Date(time);
+    return {
+        all: 'all',
+        season: 'season:' + date.toISOString().slice(0, 7),
+        week: 'week:' + isoWeek(date),
+        day: 'day:' + date.toISOString().slice(0, 10)
+    };
+}
+
+// Рейтинг периода хранится готовым и обновляется при записи. Игрок вне рейтинга
+// может подняться в него только вместе со своей же статистикой, поэтому топ точный
+function rankTop(top, id, stats) {
+    return top.filter(entry => entry.id !== id)
+        .concat({ id, ...stats })
+        .sort((a, b) => b.kills - a.kills || formatStats(b).kd - formatStats(a).kd)
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+function nextMidnight(time) {
+    const date = new Date(time);
+    date.setUTCHours(24, 0, 0, 0);
+    return date.getTime();
+}
+
+function formatStats(stats) {
+    stats = stats || { kills: 0, deaths: 0, bestStreak: 0, matches: 0 };
+    return {
+        kills: stats.kills,
+        deaths: stats.deaths,
+        kd: Math.round(stats.kills / Math.max(1, stats.deaths) * 100) / 100,
+        bestStreak: stats.bestStreak,
+        matches: stats.matches
+    };
+}
+
+// Записи матчей: поток кадров-снапшотов и событий в том виде, в каком их получали клиенты.
+// Запись (little-endian): u8 вид, u32 длина, данные. Кадр - снапшот с дельтой к предыдущему кадру,
+// событие - JSON [tick, сообщение]
+const REPLAY_FRAME = 1;
+const REPLAY_EVENT = 2;
+const REPLAY_FRAME_TICKS = 3;        // в запись попадает кадр раз в три тика
+const REPLAY_KEYFRAME_INTERVAL = 50; // полный кадр раз в ~5 секунд - с него начинается перемотка
+const REPLAY_CHUNK_SIZE = 64 * 1024; // куски хранятся отдельными значениями storage
+const MAX_REPLAY_SIZE = 4 * 1024 * 1024; // длиннее запись обрезается
+const MAX_REPLAYS = 50;
+const MAX_REPLAY_ATTEMPTS = 3; // столько запусков комнаты брошенная запись предлагается архиву
+const REPLAY_EVENTS = ['join', 'leave', 'meta', 'kill', 'hit', 'flags', 'pickups', 'match'];
+
+// Зрители получают снапшоты и события, но игрока не создают
+const MAX_SPECTATORS = 32;
+
+function normalizeRoomCode(code) {
+    if (!code) return null;
+    code = String(code).trim().toUpperCase();
+    return /^[A-Z0-9]{4,8}$/.test(code) ? code : null;
+}
+
+function generateRoomCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+    let code = '';
+    for (const byte of bytes) {
+        code += ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+function getRoomStub(env, code) {
+    // Основная комната сохраняет старое имя, чтобы не потерять существующий объект
+    const name = code === DEFAULT_ROOM_CODE ? 'main-room' : 'room-' + code;
+    return env.GAME_ROOM.get(env.GAME_ROOM.idFromName(name));
+}
+
+function getLobbyStub(env) {
+    return env.LOBBY.get(env.LOBBY.idFromName('lobby'));
+}
+
+function getStatsStub(env) {
+    return env.STATS.get(env.STATS.idFromName('global'));
+}
+
+function getReplayStub(env) {
+    return env.REPLAYS.get(env.REPLAYS.idFromName('archive'));
+}
+
+// Ключи записи матча в storage комнаты: описание и закрытые куски
+function recordingKeys(meta) {
+    const keys = ['recording:' + meta.id];
+    for (let index = 0; index < meta.chunks; index++) keys.push('replayChunk:' + meta.id + ':' + index);
+    return keys;
+}
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+    });
+}
+
+// Администрирование: маршруты /admin закрыты токеном из секрета ADMIN_TOKEN,
+// без секрета их нет вовсе
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+const ADMIN_SETTINGS = ['name', 'isPrivate', 'maxPlayers', 'mode', 'map', 'timeLimit', 'scoreLimit', 'bots', 'botDifficulty'];
+
+// Метрики комнаты копятся за окно и в конце окна пишутся в лог одной JSON-строкой
+const METRICS_INTERVAL = 10000;
+
+function createMetrics() {
+    return { startedAt: Date.now(), ticks: 0, tickTime: 0, maxTickTime: 0, overruns: 0, bytesOut: 0, messagesIn: {}, messagesOut: {} };
+}
+
+function countMessage(counts, type) {
+    counts[type] = (counts[type] || 0) + 1;
+}
+
+function summarizeMetrics(metrics, now) {
+    const seconds = Math.max(1, now - metrics.startedAt) / 1000;
+    return {
+        windowSeconds: Math.round(seconds),
+        ticks: metrics.ticks,
+        tickMs: {
+            avg: metrics.ticks ? Math.round(metrics.tickTime / metrics.ticks * 100) / 100 : 0,
+            max: metrics.maxTickTime
+        },
+        overruns: metrics.overruns,
+        bytesPerSecond: Math.round(metrics.bytesOut / seconds),
+        messagesIn: metrics.messagesIn,
+        messagesOut: metrics.messagesOut
+    };
+}
+
+function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+// Токен сравнивается по хешам, чтобы время сравнения не зависело от совпавшего префикса
+async function isAdminRequest(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const [expected, actual] = await Promise.all([env.ADMIN_TOKEN, token].map(text =>
+        crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+    
+    const a = new Uint8Array(expected);
+    const b = new Uint8Array(actual);
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
 
 export class GameRoom {
     constructor(state, env) {
         this.state = state;
         this.env = env;
+        this.code = null;
+        this.config = null;
         this.sessions = new Map();
-        this.players = {};
-        this.bullets = [];
-        this.bulletId = 0;
-        this.lastUpdate = Date.now();
+        this.sim = null; // появляется вместе с настройками комнаты
+        this.snapshotSeq = 0;
+        this.snapshots = new Map();
+        this.lastPing = 0;
+        this.maxRewindMs = parseInt(env.MAX_REWIND_MS, 10) || DEFAULT_MAX_REWIND_MS;
+        this.resumeGraceMs = parseInt(env.RESUME_GRACE_MS, 10) || DEFAULT_RESUME_GRACE_MS;
+        this.pendingStats = new Map();
+        this.lastStatsFlush = 0;
+        this.bans = []; // { profileId, ip, name, bannedAt } - кому оператор запретил вход
+        this.metrics = createMetrics();
+        this.lastMetrics = null;
+        this.recording = null; // закрытые куски записи сразу сохраняются, в архив запись уходит по окончании матча
+        this.resumeKey = null;
+        this.lastStep = Date.now();
+        this.lastPersist = 0;
+        this.gameLoopRunning = false;
         
-        // Цвета кораблей
-        this.shipColors = ['#0ff', '#f0f', '#ff0', '#0f0', '#f80', '#80f', '#08f', '#f00'];
-        this.colorIndex = 0;
+        // После выгрузки или перезапуска объект восстанавливается из storage
+        // и из сокетов, переживших гибернацию
+        this.state.blockConcurrencyWhile(() => this.restore());
+    }
+
+    async restore() {
+        const stored = await this.state.storage.get(['room', 'players', 'resumeSecret', 'bans']);
+        const room = stored.get('room');
+        this.bans = stored.get('bans') || [];
+        if (room) {
+            this.code = room.code;
+            this.config = { ...matchSettings({}), ...room.config };
+            this.createSimulation(room.sim, stored.get('players'));
+        }
+        
+        // Токены подписываются общим секретом воркера или секретом самой комнаты
+        let secret = this.env.RESUME_SECRET || stored.get('resumeSecret');
+        if (!secret) {
+            secret = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+            await this.state.storage.put('resumeSecret', secret);
+        }
+        this.resumeKey = await importSigningKey(secret);
+        
+        for (const webSocket of this.state.getWebSockets()) {
+            const attachment = webSocket.deserializeAttachment();
+            if (!attachment || !attachment.playerId) continue;
+            
+            this.sessions.set(attachment.playerId, this.createSession(webSocket, attachment));
+        }
+        if (!this.sim) return;
+        
+        // Запись матча, прерванная выгрузкой комнаты, уходит в архив тем, что успело сохраниться.
+        // Запись, которую архив так и не принял, удаляется после MAX_REPLAY_ATTEMPTS попыток
+        const orphaned = await this.state.storage.list({ prefix: 'recording:' });
+        for (const meta of orphaned.values()) {
+            const attempts = (meta.attempts || 0) + 1;
+            if (!meta.chunks || attempts > MAX_REPLAY_ATTEMPTS) {
+                if (meta.chunks) console.warn('Dropping replay rejected by the archive:', meta.id);
+                await this.state.storage.delete(recordingKeys(meta));
+                continue;
+            }
+            await this.state.storage.put('recording:' + meta.id, { ...meta, attempts });
+            this.archiveRecording(meta).catch(e => console.error('Error saving replay:', e));
+        }
+        
+        // Игроки без живого сокета (например, после передеплоя) ждут возобновления
+        const now = Date.now();
+        for (const [playerId, player] of Object.entries(this.sim.players)) {
+            if (!player.bot && !this.sessions.has(playerId) && !player.disconnectedAt) {
+                player.disconnectedAt = now;
+                this.sim.dirty = true;
+            }
+        }
+        this.expireDisconnected();
+        
+        if (this.sessions.size > 0) {
+            this.gameLoopRunning = true;
+            if (await this.state.storage.getAlarm() === null) {
+                await this.state.storage.setAlarm(Date.now() + PHYSICS.tickMs);
+            }
+        } else {
+            const expiry = this.nextDisconnectExpiry();
+            if (expiry !== null && await this.state.storage.getAlarm() === null) {
+                await this.state.storage.setAlarm(expiry);
+            }
+        }
+    }
+
+    persist() {
+        this.sim.dirty = false;
+        this.lastPersist = Date.now();
+        this.state.storage.put({
+            room: {
+                code: this.code,
+                config: this.config,
+                sim: this.sim.save()
+            },
+            players: this.sim.players
+        });
+    }
+
+    // Хост кормит симуляцию вводами из сокетов и разносит то, что она сообщает,
+    // по клиентам, статистике, лобби и записи матча
+    createSimulation(saved, players) {
+        this.sim = new Simulation(this.config, {
+            seed: saved ? saved.seed : crypto.getRandomValues(new Uint32Array(1))[0],
+            maxRewindMs: this.maxRewindMs,
+            hooks: {
+                broadcast: message => this.broadcast(message),
+                send: (playerId, message) => this.send(playerId, message),
+                stats: (player, delta) => this.recordStats(player, delta),
+                roster: () => this.reportToLobby(),
+                phase: phase => {
+                    // Раунд может прерваться сменой настроек - запись закрывается при любом выходе из live
+                    if (phase === 'live') this.startRecording();
+                    else this.finishRecording();
+                }
+            }
+        });
+        if (saved) this.sim.load(saved, players);
     }
 
     async fetch(request) {
         const url = new URL(request.url);
         
+        // Воркер передает код комнаты в каждом запросе
+        const code = normalizeRoomCode(url.searchParams.get('room'));
+        if (code && !this.code) this.code = code;
+        
+        if (url.pathname === '/setup' && request.method === 'POST') {
+            if (this.getConfig()) {
+                return jsonResponse({ error: 'room_exists' }, 409);
+            }
+            
+            const body = await request.json();
+            this.config = {
+                name: body.name,
+                isPrivate: !!body.isPrivate,
+                maxPlayers: body.maxPlayers,
+                ...matchSettings(body),
+                createdAt: Date.now()
+            };
+            this.createSimulation(null);
+            this.persist();
+            this.reportToLobby();
+            
+            return jsonResponse(this.getRoomInfo());
+        }
+        
         if (url.pathname === '/ws') {
             if (request.headers.get('Upgrade') !== 'websocket') {
                 return new Response('Expected WebSocket', { status: 400 });
             }
             
             const pair = new WebSocketPair();
-            await this.handleSession(pair[1]);
+            this.acceptSession(pair[1], url.searchParams.get('spectate') === '1', request.headers.get('CF-Connecting-IP'));
             
             return new Response(null, { status: 101, webSocket: pair[0] });
         }
         
+        // Воркер пускает сюда только после проверки токена оператора
+        if (url.pathname.startsWith('/admin')) {
+            if (!this.getConfig()) {
+                return jsonResponse({ error: 'room not found' }, 404);
+            }
+            return this.handleAdmin(request, url.pathname.slice('/admin'.length));
+        }
+        
         return new Response('Not found', { status: 404 });
     }
 
-    async handleSession(webSocket) {
-        webSocket.accept();
+    async handleAdmin(request, action) {
+        if (action === '' && request.method === 'GET') {
+            return jsonResponse(this.adminStatus());
+        }
+        if (request.method !== 'POST') {
+            return new Response('Not found', { status: 404 });
+        }
+        
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return jsonResponse({ error: 'invalid JSON' }, 400);
+        }
         
-        const playerId = crypto.randomUUID();
-        const session = { 
-            webSocket, 
-            id: playerId,
-            lastInput: null
+        switch (action) {
+            case '/kick':
+            case '/ban': {
+                const player = this.sim.players[body.playerId];
+                if (!player) return jsonResponse({ error: 'player not found' }, 404);
+                if (player.bot) return jsonResponse({ error: 'bots are controlled by the bots setting' }, 400);
+                
+                if (action === '/kick') {
+                    this.kickPlayer(player, CLOSE_KICKED, 'kicked', 'Вы исключены из комнаты');
+                    return jsonResponse({ ok: true });
+                }
+                
+                // Профиль клиент выбирает сам, поэтому запрет держится на адресе из CF-Connecting-IP;
+                // без адреса (игрок сейчас не подключен) остается только профиль
+                const session = this.sessions.get(player.id);
+                const ban = { profileId: player.profileId, ip: session ? session.ip : null, name: player.name, bannedAt: Date.now() };
+                if (!ban.profileId && !ban.ip) return jsonResponse({ error: 'player has neither profile nor address' }, 400);
+                this.bans.push(ban);
+                await this.state.storage.put('bans', this.bans);
+                this.kickPlayer(player, CLOSE_BANNED, 'banned', 'Вход в комнату запрещен');
+                return jsonResponse({ ok: true, ban });
+            }
+            
+            case '/unban': {
+                const bans = this.bans.filter(ban => !((body.profileId && ban.profileId === body.profileId) || (body.ip && ban.ip === body.ip)));
+                if (bans.length === this.bans.length) return jsonResponse({ error: 'not banned' }, 404);
+                this.bans = bans;
+                await this.state.storage.put('bans', this.bans);
+                return jsonResponse({ ok: true });
+            }
+            
+            case '/announce': {
+                const text = sanitizeText(body.text, MAX_ANNOUNCEMENT_LENGTH);
+                if (!text) return jsonResponse({ error: 'text is required' }, 400);
+                this.broadcast({ type: 'announcement', text });
+                console.log(JSON.stringify({ event: 'room_announcement', room: this.code, text }));
+                return jsonResponse({ ok: true, delivered: this.sessions.size });
+            }
+            
+            case '/settings': {
+                const result = this.validateSettings(body);
+                if (result.error) return jsonResponse({ error: result.error }, 400);
+                this.applySettings(result.changes);
+                return jsonResponse(this.getRoomInfo());
+            }
+        }
+        
+        return new Response('Not found', { status: 404 });
+    }
+
+    // Состояние комнаты для оператора: игроки с пингом, запреты и метрики последнего окна
+    adminStatus() {
+        return {
+            ...this.getRoomInfo(),
+            phase: this.sim.match.phase,
+            spectators: [...this.sessions.values()].filter(session => session.spectator).length,
+            players: Object.values(this.sim.players).map(player => {
+                const session = this.sessions.get(player.id);
+                return {
+                    id: player.id,
+                    name: player.name,
+                    profileId: player.profileId,
+                    bot: player.bot || null,
+                    team: player.team,
+                    score: player.score,
+                    kills: player.kills,
+                    deaths: player.deaths,
+                    connected: !!session || !!player.bot,
+                    ping: session ? Math.round(session.rtt) : null
+                };
+            }),
+            bans: this.bans,
+            metrics: this.lastMetrics || summarizeMetrics(this.metrics, Date.now())
         };
+    }
+
+    // Неизвестные поля и значения отклоняются, числа приводятся к допустимым пределам
+    validateSettings(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'settings must be an object' };
         
-        this.sessions.set(playerId, session);
+        const unknown = Object.keys(body).find(key => !ADMIN_SETTINGS.includes(key));
+        if (unknown) return { error: 'unknown setting: ' + unknown };
+        if (body.mode !== undefined && !Object.prototype.hasOwnProperty.call(GAME_MODES, body.mode)) return { error: 'unknown mode' };
+        if (body.map !== undefined && !Object.prototype.hasOwnProperty.call(MAPS, body.map)) return { error: 'unknown map' };
+        if (body.botDifficulty !== undefined && !Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, body.botDifficulty)) {
+            return { error: 'unknown bot difficulty' };
+        }
         
-        webSocket.addEventListener('message', async (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                await this.handleMessage(playerId, data);
-            } catch (e) {
-                console.error('Error handling message:', e);
+        // Новый режим без явного лимита очков получает лимит по умолчанию этого режима
+        const keys = Object.keys(body);
+        const merged = { ...this.config, ...body };
+        if (body.mode !== undefined && body.mode !== this.config.mode && body.scoreLimit === undefined) {
+            delete merged.scoreLimit;
+            keys.push('scoreLimit');
+        }
+        const settings = matchSettings(merged);
+        const changes = {};
+        for (const key of keys) {
+            if (key in settings) changes[key] = settings[key];
+        }
+        if (body.name !== undefined) {
+            changes.name = sanitizeText(body.name, MAX_ROOM_NAME_LENGTH);
+            if (!changes.name) return { error: 'invalid name' };
+        }
+        if (body.isPrivate !== undefined) changes.isPrivate = !!body.isPrivate;
+        if (body.maxPlayers !== undefined) {
+            changes.maxPlayers = Math.max(MIN_ROOM_PLAYERS, Math.min(MAX_ROOM_PLAYERS, parseInt(body.maxPlayers, 10) || this.config.maxPlayers));
+        }
+        return { changes };
+    }
+
+    // Настройки меняются на лету; новая карта или режим перезапускают раунд,
+    // и клиенты получают init заново
+    applySettings(changes) {
+        const relayout = (changes.mode !== undefined && changes.mode !== this.config.mode) ||
+            (changes.map !== undefined && changes.map !== this.config.map);
+        Object.assign(this.config, changes);
+        
+        if (relayout) {
+            this.sim.resetLayout();
+            for (const session of this.sessions.values()) {
+                // Клиент после init сбрасывает снапшоты и вводы: дельты к старой базе он уже не примет
+                session.ackSeq = 0;
+                resetInputs(session);
+                const player = this.sim.players[session.id];
+                if (player) this.sendInit(session, player).catch(e => console.error('Error sending init:', e));
+                else if (session.spectator) this.sendSpectatorInit(session);
             }
-        });
+        } else {
+            this.sim.broadcastMatch();
+        }
+        
+        console.log(JSON.stringify({ event: 'room_settings', room: this.code, changes }));
+        this.persist();
+        this.reportToLobby();
+    }
+
+    isBanned(profileId, ip) {
+        return this.bans.some(ban => (profileId && ban.profileId === profileId) || (ip && ban.ip === ip));
+    }
+
+    // Сокет отвязывается сразу: до закрытия с него не должно прийти ни одного сообщения
+    kickPlayer(player, code, reason, message) {
+        const session = this.sessions.get(player.id);
+        if (session) {
+            this.sessions.delete(player.id);
+            session.webSocket.serializeAttachment({ playerId: null });
+            this.rejectSession(session.webSocket, code, reason, message);
+        }
+        this.removePlayer(player.id);
+        console.log(JSON.stringify({ event: 'room_' + reason, room: this.code, playerId: player.id, profileId: player.profileId, name: player.name }));
+    }
+
+    getConfig() {
+        if (this.config) return this.config;
+        
+        // Основная комната существует всегда, остальные создаются через /api/rooms
+        if (this.code === DEFAULT_ROOM_CODE) {
+            this.config = {
+                name: 'Главная арена',
+                isPrivate: false,
+                maxPlayers: DEFAULT_MAX_PLAYERS,
+                ...matchSettings({}),
+                createdAt: Date.now()
+            };
+            this.createSimulation(null);
+            this.persist();
+        }
+        return this.config;
+    }
+
+    getRoomInfo() {
+        const config = this.getConfig();
+        return {
+            code: this.code,
+            name: config.name,
+            isPrivate: config.isPrivate,
+            maxPlayers: config.maxPlayers,
+            mode: config.mode,
+            map: config.map,
+            timeLimit: config.timeLimit,
+            scoreLimit: config.scoreLimit,
+            players: this.sim.humanCount(),
+            bots: Object.keys(this.sim.players).length - this.sim.humanCount()
+        };
+    }
+
+    reportToLobby() {
+        if (!this.getConfig()) return;
+        
+        getLobbyStub(this.env).fetch('https://lobby/rooms/' + this.code, {
+            method: 'PUT',
+            body: JSON.stringify(this.getRoomInfo())
+        }).catch(e => console.error('Error reporting to lobby:', e));
+    }
+
+    rejectSession(webSocket, code, reason, message) {
+        try {
+            webSocket.send(JSON.stringify({ type: 'error', code: reason, message }));
+            webSocket.close(code, reason);
+        } catch (e) {
+            // Сокет уже закрыт
+        }
+    }
+
+    // Во вложении сокета - все, что нужно восстановить сессию после выгрузки объекта
+    saveAttachment(session) {
+        session.webSocket.serializeAttachment({ playerId: session.id, rtt: session.rtt, spectator: session.spectator, ip: session.ip });
+    }
+
+    createSession(webSocket, attachment) {
+        return {
+            webSocket,
+            id: attachment.playerId,
+            spectator: !!attachment.spectator,
+            ip: attachment.ip || null,
+            lastInput: null,
+            inputs: [],
+            inputBudget: 0,
+            ackSeq: 0,
+            rtt: attachment.rtt || 0,
+            buckets: {
+                input: createBucket(RATE_LIMITS.input),
+                action: createBucket(RATE_LIMITS.action),
+                control: createBucket(RATE_LIMITS.control),
+                violations: createBucket(RATE_LIMITS.violations)
+            }
+        };
+    }
+
+    // Сокеты принимаются через API гибернации: объект может выгружаться из памяти,
+    // а соединения при этом остаются открытыми
+    acceptSession(webSocket, spectate, ip) {
+        this.state.acceptWebSocket(webSocket);
+        
+        if (!this.getConfig()) {
+            this.rejectSession(webSocket, CLOSE_ROOM_NOT_FOUND, 'room_not_found', 'Комната не найдена');
+            return;
+        }
+        if (this.isBanned(null, ip)) {
+            this.rejectSession(webSocket, CLOSE_BANNED, 'banned', 'Вход в комнату запрещен');
+            return;
+        }
+        
+        const spectators = [...this.sessions.values()].filter(session => session.spectator).length;
+        if (spectate && spectators >= MAX_SPECTATORS) {
+            this.rejectSession(webSocket, CLOSE_ROOM_FULL, 'room_full', 'Слишком много зрителей');
+            return;
+        }
+        
+        const session = this.createSession(webSocket, { playerId: crypto.randomUUID(), spectator: spectate, ip });
+        this.saveAttachment(session);
+        this.sessions.set(session.id, session);
+        
+        // Зрителю не нужно входить в игру: мир отправляется сразу
+        if (spectate) {
+            this.sendSpectatorInit(session);
+            this.startGameLoop();
+        }
+    }
+
+    async webSocketMessage(webSocket, message) {
+        const attachment = webSocket.deserializeAttachment();
+        const session = attachment && this.sessions.get(attachment.playerId);
+        if (!session) return;
+        
+        if (typeof message !== 'string') {
+            this.rejectMessage(session, 'binary_not_supported');
+            return;
+        }
+        if (message.length > MAX_MESSAGE_SIZE) {
+            this.rejectMessage(session, 'too_large');
+            return;
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (e) {
+            this.rejectMessage(session, 'bad_json');
+            return;
+        }
+        
+        const reason = validateMessage(data);
+        if (reason) {
+            this.rejectMessage(session, reason);
+            return;
+        }
+        
+        if (session.spectator && !SPECTATOR_MESSAGES.includes(data.type)) {
+            this.rejectMessage(session, 'spectator');
+            return;
+        }
         
-        webSocket.addEventListener('close', () => {
-            this.sessions.delete(playerId);
-            delete this.players[playerId];
-            this.broadcast({ type: 'update', players: this.players, bullets: this.bullets });
+        const bucket = CLIENT_MESSAGES[data.type].bucket;
+        if (!takeToken(session.buckets[bucket], RATE_LIMITS[bucket])) {
+            this.rejectMessage(session, 'rate_limited');
+            return;
+        }
+        
+        countMessage(this.metrics.messagesIn, data.type);
+        try {
+            await this.handleMessage(attachment.playerId, data);
+        } catch (e) {
+            console.error('Error handling message:', e);
+        }
+    }
+
+    // Каждое отклоненное сообщение тратит запас нарушений; когда он кончается, сокет отключается
+    rejectMessage(session, reason) {
+        countMessage(this.metrics.messagesIn, 'rejected');
+        if (!takeToken(session.buckets.violations, RATE_LIMITS.violations)) {
+            console.warn('Disconnecting abusive session', session.id, reason);
+            this.rejectSession(session.webSocket, CLOSE_POLICY_VIOLATION, 'policy_violation', 'Слишком много некорректных сообщений');
+            return;
+        }
+        
+        try {
+            session.webSocket.send(JSON.stringify({ type: 'error', code: 'invalid_message', reason }));
+        } catch (e) {
+            // Ignore send errors
+        }
+    }
+
+    async webSocketClose(webSocket, code, reason) {
+        const attachment = webSocket.deserializeAttachment();
+        if (attachment) this.removeSession(attachment.playerId);
+        
+        try {
+            webSocket.close(1000, 'closed');
+        } catch (e) {
+            // Сокет уже закрыт
+        }
+    }
+
+    async webSocketError(webSocket) {
+        const attachment = webSocket.deserializeAttachment();
+        if (attachment) this.removeSession(attachment.playerId);
+    }
+
+    // Обрыв соединения: игрок скрывается и неуязвим, но его слот ждет возобновления
+    removeSession(playerId) {
+        this.sessions.delete(playerId);
+        const player = this.sim.players[playerId];
+        if (player && !player.disconnectedAt) {
+            player.disconnectedAt = Date.now();
+            player.thrust = false;
+            this.persist();
+        }
+    }
+
+    removePlayer(playerId) {
+        if (!this.sim.players[playerId]) return;
+        
+        this.sim.removePlayer(playerId);
+        this.persist();
+        this.flushStats();
+    }
+
+    recordStats(player, delta) {
+        if (!player.profileId) return;
+        
+        let pending = this.pendingStats.get(player.profileId);
+        if (!pending) {
+            pending = { profileId: player.profileId, name: player.name, kills: 0, deaths: 0, bestStreak: 0, matches: 0 };
+            this.pendingStats.set(player.profileId, pending);
+        }
+        pending.kills += delta.kills || 0;
+        pending.deaths += delta.deaths || 0;
+        pending.matches += delta.matches || 0;
+        pending.bestStreak = Math.max(pending.bestStreak, delta.streak || 0);
+    }
+
+    flushStats() {
+        this.lastStatsFlush = Date.now();
+        if (this.pendingStats.size === 0) return;
+        
+        const events = [...this.pendingStats.values()];
+        this.pendingStats.clear();
+        
+        getStatsStub(this.env).fetch('https://stats/record', {
+            method: 'POST',
+            body: JSON.stringify({ events })
+        }).catch(e => console.error('Error recording stats:', e));
+    }
+
+    expireDisconnected() {
+        const now = Date.now();
+        for (const [playerId, player] of Object.entries(this.sim.players)) {
+            if (player.disconnectedAt && now - player.disconnectedAt >= this.resumeGraceMs) {
+                this.removePlayer(playerId);
+            }
+        }
+    }
+
+    nextDisconnectExpiry() {
+        let expiry = null;
+        for (const player of Object.values(this.sim.players)) {
+            if (!player.disconnectedAt) continue;
+            const time = player.disconnectedAt + this.resumeGraceMs;
+            if (expiry === null || time < expiry) expiry = time;
+        }
+        return expiry;
+    }
+
+    async sendInit(session, player) {
+        const resumeToken = await signToken(this.resumeKey, {
+            room: this.code,
+            playerId: player.id,
+            exp: Date.now() + RESUME_TOKEN_TTL
         });
         
-        webSocket.addEventListener('error', () => {
-            this.sessions.delete(playerId);
-            delete this.players[playerId];
+        // Координаты и очки придут в первом снапшоте
+        const data = JSON.stringify({
+            type: 'init',
+            id: player.id,
+            nid: player.nid,
+            inputSeq: player.inputSeq,
+            resumeToken,
+            ...this.worldInfo(),
+            loadout: this.sim.loadoutInfo(player)
         });
+        this.transmit(session, data, 'init', byteLength(data));
+    }
+
+    sendSpectatorInit(session) {
+        const data = JSON.stringify({ type: 'init', id: null, spectator: true, ...this.worldInfo() });
+        this.transmit(session, data, 'init', byteLength(data));
+    }
+
+    // Все, что нужно клиенту кроме снапшотов: общее для игроков, зрителей и записей матчей
+    worldInfo() {
+        return {
+            players: Object.values(this.sim.players).map(playerMeta),
+            room: this.getRoomInfo(),
+            match: this.sim.matchInfo(),
+            map: this.sim.mapInfo(),
+            flags: this.sim.flagInfo(),
+            pickups: this.sim.pickupInfo()
+        };
+    }
+
+    async resumeSession(session, token) {
+        const payload = await verifyToken(this.resumeKey, token);
+        const player = payload && payload.room === this.code && this.sim.players[payload.playerId];
+        if (!player || this.sim.players[session.id]) {
+            session.webSocket.send(JSON.stringify({ type: 'error', code: 'resume_failed', message: 'Сессия истекла' }));
+            return;
+        }
+        
+        // Старый сокет мог еще не заметить обрыв - отвязываем его от игрока
+        const previous = this.sessions.get(player.id);
+        if (previous) {
+            previous.webSocket.serializeAttachment({ playerId: null });
+            try {
+                previous.webSocket.close(CLOSE_REPLACED, 'replaced');
+            } catch (e) {
+                // Сокет уже закрыт
+            }
+        }
+        
+        // Новый сокет занимает место прежнего игрока
+        this.sessions.delete(session.id);
+        session.id = player.id;
+        this.saveAttachment(session);
+        this.sessions.set(player.id, session);
+        
+        player.disconnectedAt = null;
+        this.persist();
+        
+        await this.sendInit(session, player);
+        this.startGameLoop();
     }
 
     async handleMessage(playerId, data) {
@@ -71,213 +918,679 @@ export class GameRoom {
         
         switch (data.type) {
             case 'join':
-                // Создаем нового игрока
-                const spawnX = 500 + Math.random() * 1000;
-                const spawnY = 500 + Math.random() * 1000;
+                // Проверяем вместимость комнаты
+                // Боты место не занимают: за каждого вошедшего человека один бот уходит
+                if (!this.sim.players[playerId] && this.sim.humanCount() >= this.getConfig().maxPlayers) {
+                    this.rejectSession(session.webSocket, CLOSE_ROOM_FULL, 'room_full', 'Комната заполнена');
+                    return;
+                }
                 
-                this.players[playerId] = {
-                    id: playerId,
-                    name: data.name?.substring(0, 15) || 'Пилот',
-                    x: spawnX,
-                    y: spawnY,
-                    angle: 0,
-                    vx: 0,
-                    vy: 0,
-                    health: 100,
-                    score: 0,
-                    kills: 0,
-                    color: this.shipColors[this.colorIndex++ % this.shipColors.length],
-                    thrust: false,
-                    lastShot: 0
-                };
+                if (this.sim.players[playerId]) return;
+                
+                const profileId = data.profileKey ? await deriveProfileId(data.profileKey) : null;
+                if (this.isBanned(profileId, session.ip)) {
+                    this.rejectSession(session.webSocket, CLOSE_BANNED, 'banned', 'Вход в комнату запрещен');
+                    return;
+                }
+                
+                // Создаем нового игрока
+                const player = this.sim.addPlayer(playerId, sanitizeName(data.name), profileId);
                 
                 // Отправляем игроку его данные
-                session.webSocket.send(JSON.stringify({
-                    type: 'init',
-                    id: playerId,
-                    player: this.players[playerId],
-                    players: this.players
-                }));
+                await this.sendInit(session, player);
+                
+                // Неизменяемые данные игрока рассылаются один раз
+                this.broadcast({ type: 'join', player: playerMeta(player) });
+                
+                this.persist();
+                this.reportToLobby();
                 
                 // Запускаем игровой цикл если не запущен
                 this.startGameLoop();
                 break;
                 
+            case 'resume':
+                await this.resumeSession(session, data.token);
+                break;
+                
+            case 'leave':
+                // Игрок сам вышел в лобби - слот не нужен
+                this.removePlayer(playerId);
+                break;
+                
             case 'input':
-                session.lastInput = data;
+                this.acknowledge(session, data.ack);
+                queueInput(session, data);
+                break;
+                
+            case 'ack':
+                this.acknowledge(session, data.seq);
                 break;
                 
             case 'shoot':
-                this.playerShoot(playerId);
+                // Стрелок видит чужие корабли на половину пинга и задержку интерполяции в прошлом
+                this.sim.playerShoot(playerId, data.charge, session.rtt / 2 + INTERPOLATION_DELAY);
+                break;
+                
+            case 'weapon':
+                this.sim.selectWeapon(this.sim.players[playerId], data.weapon);
+                break;
+                
+            case 'pong':
+                // Сглаженное время пинга для оценки того, что видит игрок
+                if (data.t <= Date.now()) {
+                    const rtt = Date.now() - data.t;
+                    session.rtt = session.rtt ? session.rtt * 0.8 + rtt * 0.2 : rtt;
+                    this.saveAttachment(session);
+                }
                 break;
         }
     }
 
-    playerShoot(playerId) {
-        const player = this.players[playerId];
-        if (!player) return;
-        
-        const now = Date.now();
-        if (now - player.lastShot < 200) return; // Cooldown
-        player.lastShot = now;
-        
-        const speed = 15;
-        this.bullets.push({
-            id: this.bulletId++,
-            owner: playerId,
-            x: player.x + Math.cos(player.angle) * 30,
-            y: player.y + Math.sin(player.angle) * 30,
-            vx: Math.cos(player.angle) * speed + player.vx * 0.3,
-            vy: Math.sin(player.angle) * speed + player.vy * 0.3,
-            life: 100
-        });
+    acknowledge(session, seq) {
+        if (Number.isInteger(seq) && seq > session.ackSeq && seq <= this.snapshotSeq) {
+            session.ackSeq = seq;
+        }
     }
 
+    // Тики идут через alarm: без игроков будильник не ставится и комната ничего не стоит
     startGameLoop() {
         if (this.gameLoopRunning) return;
         this.gameLoopRunning = true;
+        this.lastStep = Date.now();
+        this.state.storage.setAlarm(Date.now() + PHYSICS.tickMs);
+    }
+
+    async alarm() {
+        this.expireDisconnected();
         
-        const tick = async () => {
-            if (this.sessions.size === 0) {
-                this.gameLoopRunning = false;
-                return;
-            }
-            
-            this.update();
-            this.broadcast({ type: 'update', players: this.players, bullets: this.bullets });
+        if (this.sessions.size === 0) {
+            this.gameLoopRunning = false;
+            if (this.sim.humanCount() === 0) this.sim.removeBots();
+            if (this.sim.dirty) this.persist();
+            this.flushStats();
+            if (this.metrics.ticks) this.flushMetrics(Date.now());
             
-            // ~30 FPS
-            setTimeout(tick, 33);
+            // Без тиков будильник нужен только для освобождения слотов отключившихся
+            const expiry = this.nextDisconnectExpiry();
+            if (expiry !== null) await this.state.storage.setAlarm(expiry);
+            return;
+        }
+        
+        // Будильник срабатывает неровно, а симуляция шагает ровными тиками:
+        // за каждый прошедший тик - один шаг, но после долгой паузы не больше MAX_CATCHUP_STEPS
+        const now = Date.now();
+        const steps = Math.min(MAX_CATCHUP_STEPS, Math.floor((now - this.lastStep) / PHYSICS.tickMs));
+        this.lastStep = steps === MAX_CATCHUP_STEPS ? now : this.lastStep + steps * PHYSICS.tickMs;
+        for (let i = 0; i < steps; i++) {
+            this.sim.step(this.collectInputs());
+        }
+        if (steps) this.broadcastSnapshot();
+        
+        // В Workers часы стоят, пока код не ждет ввода-вывода, поэтому длительность тика
+        // почти всегда ноль; надежный признак перегрузки - пропущенные тики
+        const tickTime = Date.now() - now;
+        this.metrics.ticks++;
+        this.metrics.tickTime += tickTime;
+        this.metrics.maxTickTime = Math.max(this.metrics.maxTickTime, tickTime);
+        if (steps > 1 || tickTime > PHYSICS.tickMs) this.metrics.overruns++;
+        if (now - this.metrics.startedAt >= METRICS_INTERVAL) this.flushMetrics(now);
+        
+        if (now - this.lastPing >= PING_INTERVAL) {
+            this.lastPing = now;
+            this.broadcast({ type: 'ping', t: now });
+        }
+        
+        if (this.sim.dirty && now - this.lastPersist >= PERSIST_INTERVAL) {
+            this.persist();
+        }
+        if (now - this.lastStatsFlush >= STATS_FLUSH_INTERVAL) {
+            this.flushStats();
+        }
+        
+        await this.state.storage.setAlarm(this.lastStep + PHYSICS.tickMs);
+    }
+
+    flushMetrics(now) {
+        this.lastMetrics = summarizeMetrics(this.metrics, now);
+        this.metrics = createMetrics();
+        console.log(JSON.stringify({
+            event: 'room_metrics',
+            room: this.code,
+            players: this.sim.humanCount(),
+            sessions: this.sessions.size,
+            ...this.lastMetrics
+        }));
+    }
+
+    // Каждый ввод - ровно один шаг физики, как в предсказании на клиенте,
+    // поэтому вводов применяется не больше, чем прошло тиков (см. takeInputs)
+    collectInputs() {
+        const inputs = {};
+        for (const [playerId, session] of this.sessions) {
+            const taken = takeInputs(session);
+            if (taken.length) inputs[playerId] = taken;
+        }
+        return inputs;
+    }
+
+    // Запись начинается с состояния мира на старте матча, дальше идут кадры и события
+    startRecording() {
+        this.recording = {
+            id: Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join(''),
+            startedAt: Date.now(),
+            startTick: this.sim.tick,
+            nextFrameTick: this.sim.tick,
+            init: this.worldInfo(),
+            chunks: 0,
+            pending: [],
+            pendingSize: 0,
+            frames: 0,
+            lastSeq: 0,
+            lastSnapshot: null,
+            truncated: false
+        };
+        this.state.storage.put('recording:' + this.recording.id, this.recordingMeta());
+    }
+
+    // Описание записи в storage комнаты: по нему восстанавливается запись, брошенная при выгрузке
+    recordingMeta() {
+        const recording = this.recording;
+        return {
+            id: recording.id,
+            startedAt: recording.startedAt,
+            endedAt: Date.now(),
+            startTick: recording.startTick,
+            endTick: this.sim.tick,
+            truncated: recording.truncated,
+            players: this.sim.activePlayers().length,
+            winner: null,
+            init: recording.init,
+            chunks: recording.chunks
         };
+    }
+
+    recordFrame(seq, snapshot) {
+        const recording = this.recording;
+        const keyframe = recording.frames % REPLAY_KEYFRAME_INTERVAL === 0;
+        const buffer = keyframe
+            ? encodeSnapshot(seq, snapshot, 0, null)
+            : encodeSnapshot(seq, snapshot, recording.lastSeq, recording.lastSnapshot);
         
-        tick();
+        recording.frames++;
+        recording.lastSeq = seq;
+        recording.lastSnapshot = snapshot;
+        this.recordEntry(REPLAY_FRAME, new Uint8Array(buffer));
+    }
+
+    // Событие помечается тиком, на котором произошло, и проигрывается вместе с ближайшим кадром
+    recordEvent(data) {
+        this.recordEntry(REPLAY_EVENT, new TextEncoder().encode('[' + this.sim.tick + ',' + data + ']'));
     }
 
-    update() {
-        const thrust = 0.3;
-        const friction = 0.98;
-        const maxSpeed = 12;
+    recordEntry(kind, payload) {
+        const recording = this.recording;
+        const entry = new Uint8Array(5 + payload.length);
+        entry[0] = kind;
+        new DataView(entry.buffer).setUint32(1, payload.length, true);
+        entry.set(payload, 5);
         
-        // Обновляем игроков
-        for (const [playerId, session] of this.sessions) {
-            const player = this.players[playerId];
-            if (!player) continue;
-            
-            const input = session.lastInput;
-            if (input) {
-                player.angle = input.angle || 0;
-                player.thrust = false;
-                
-                if (input.keys) {
-                    if (input.keys.up) { 
-                        player.vy -= thrust; 
-                        player.thrust = true; 
-                    }
-                    if (input.keys.down) { 
-                        player.vy += thrust; 
-                    }
-                    if (input.keys.left) { 
-                        player.vx -= thrust; 
-                    }
-                    if (input.keys.right) { 
-                        player.vx += thrust; 
-                    }
-                    if (input.keys.boost) {
-                        player.vx += Math.cos(player.angle) * 0.5;
-                        player.vy += Math.sin(player.angle) * 0.5;
-                        player.thrust = true;
-                    }
-                }
-            }
-            
-            // Физика
-            player.vx *= friction;
-            player.vy *= friction;
-            
-            // Ограничение скорости
-            const speed = Math.sqrt(player.vx ** 2 + player.vy ** 2);
-            if (speed > maxSpeed) {
-                player.vx = (player.vx / speed) * maxSpeed;
-                player.vy = (player.vy / speed) * maxSpeed;
+        recording.pending.push(entry);
+        recording.pendingSize += entry.length;
+        if (recording.pendingSize >= REPLAY_CHUNK_SIZE) this.closeReplayChunk();
+        
+        if (recording.chunks * REPLAY_CHUNK_SIZE >= MAX_REPLAY_SIZE) {
+            recording.truncated = true;
+            this.finishRecording();
+        }
+    }
+
+    // Записи не разрываются между кусками, поэтому каждый кусок читается отдельно.
+    // Закрытый кусок сразу уходит в storage вместе с обновленным описанием записи
+    closeReplayChunk() {
+        const recording = this.recording;
+        if (!recording.pendingSize) return;
+        
+        const chunk = new Uint8Array(recording.pendingSize);
+        let offset = 0;
+        for (const entry of recording.pending) {
+            chunk.set(entry, offset);
+            offset += entry.length;
+        }
+        const key = 'replayChunk:' + recording.id + ':' + recording.chunks;
+        recording.chunks++;
+        recording.pending = [];
+        recording.pendingSize = 0;
+        this.state.storage.put({
+            [key]: base64UrlEncode(chunk),
+            ['recording:' + recording.id]: this.recordingMeta()
+        });
+    }
+
+    finishRecording() {
+        if (!this.recording) return;
+        
+        this.closeReplayChunk();
+        const results = this.sim.match.results || this.sim.matchResults();
+        const meta = { ...this.recordingMeta(), winner: results.winner };
+        this.recording = null;
+        
+        this.state.storage.put('recording:' + meta.id, meta);
+        this.archiveRecording(meta).catch(e => console.error('Error saving replay:', e));
+    }
+
+    // Куски читаются из storage и удаляются только после того, как архив их принял;
+    // счетчик попыток остается в storage комнаты
+    async archiveRecording({ attempts, ...meta }) {
+        const keys = recordingKeys(meta);
+        const chunks = await this.state.storage.get(keys.slice(1));
+        
+        const response = await getReplayStub(this.env).fetch('https://replays/replays/' + meta.id, {
+            method: 'PUT',
+            body: JSON.stringify({
+                room: this.code,
+                roomName: this.config.name,
+                isPrivate: this.config.isPrivate,
+                mode: this.config.mode,
+                map: this.config.map,
+                ...meta,
+                duration: (meta.endTick - meta.startTick) * PHYSICS.tickMs, // время мира, как и перемотка
+                tickMs: PHYSICS.tickMs,
+                chunks: keys.slice(1).map(key => chunks.get(key))
+            })
+        });
+        if (!response.ok) throw new Error('Replay archive responded ' + response.status);
+        
+        await this.state.storage.delete(keys);
+    }
+
+    broadcastSnapshot() {
+        const seq = ++this.snapshotSeq;
+        const snapshot = worldSnapshot(this.sim);
+        
+        this.snapshots.set(seq, snapshot);
+        this.snapshots.delete(seq - SNAPSHOT_HISTORY);
+        
+        if (this.recording && this.sim.tick >= this.recording.nextFrameTick) {
+            this.recording.nextFrameTick = this.sim.tick + REPLAY_FRAME_TICKS;
+            this.recordFrame(seq, snapshot);
+        }
+        
+        // Клиенты с одинаковым подтвержденным снапшотом получают один и тот же буфер
+        const encoded = new Map();
+        for (const [, session] of this.sessions) {
+            const baseSeq = this.snapshots.has(session.ackSeq) ? session.ackSeq : 0;
+            if (!encoded.has(baseSeq)) {
+                encoded.set(baseSeq, encodeSnapshot(seq, snapshot, baseSeq, this.snapshots.get(baseSeq)));
             }
-            
-            player.x += player.vx;
-            player.y += player.vy;
-            
-            // Границы карты
-            player.x = Math.max(0, Math.min(2000, player.x));
-            player.y = Math.max(0, Math.min(2000, player.y));
+            const buffer = encoded.get(baseSeq);
+            this.transmit(session, buffer, 'snapshot', buffer.byteLength);
         }
+    }
+
+    // Все исходящие сообщения проходят здесь - так их учитывают метрики
+    transmit(session, data, type, bytes) {
+        try {
+            session.webSocket.send(data);
+        } catch (e) {
+            return; // Ignore send errors
+        }
+        this.metrics.bytesOut += bytes;
+        countMessage(this.metrics.messagesOut, type);
+    }
+
+    send(playerId, message) {
+        const session = this.sessions.get(playerId);
+        if (!session) return;
         
-        // Обновляем пули
-        for (let i = this.bullets.length - 1; i >= 0; i--) {
-            const bullet = this.bullets[i];
-            bullet.x += bullet.vx;
-            bullet.y += bullet.vy;
-            bullet.life--;
-            
-            if (bullet.life <= 0 || bullet.x < -100 || bullet.x > 2100 || 
-                bullet.y < -100 || bullet.y > 2100) {
-                this.bullets.splice(i, 1);
+        const data = JSON.stringify(message);
+        this.transmit(session, data, message.type, byteLength(data));
+    }
+
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        if (this.recording && REPLAY_EVENTS.includes(message.type)) this.recordEvent(data);
+        
+        const bytes = byteLength(data);
+        for (const [, session] of this.sessions) {
+            this.transmit(session, data, message.type, bytes);
+        }
+    }
+}
+
+// Реестр комнат для лобби: комнаты сами сообщают сюда число игроков
+export class RoomLobby {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        
+        if (url.pathname === '/rooms' && request.method === 'GET') {
+            return jsonResponse({ rooms: await this.listRooms() });
+        }
+        
+        // Для администрирования: все живые комнаты, включая закрытые
+        if (url.pathname === '/rooms/all' && request.method === 'GET') {
+            return jsonResponse({ rooms: await this.activeRooms() });
+        }
+        
+        const match = url.pathname.match(/^\/rooms\/([A-Z0-9]+)$/);
+        if (match && request.method === 'PUT') {
+            const info = await request.json();
+            await this.state.storage.put('room:' + match[1], { ...info, updatedAt: Date.now() });
+            return jsonResponse({ ok: true });
+        }
+        
+        return new Response('Not found', { status: 404 });
+    }
+
+    async activeRooms() {
+        const now = Date.now();
+        const entries = await this.state.storage.list({ prefix: 'room:' });
+        const rooms = [];
+        const stale = [];
+        
+        for (const [key, room] of entries) {
+            if (room.players === 0 && now - room.updatedAt > ROOM_IDLE_TTL) {
+                stale.push(key);
                 continue;
             }
+            rooms.push(room);
+        }
+        
+        if (stale.length) await this.state.storage.delete(stale);
+        return rooms;
+    }
+
+    async listRooms() {
+        const rooms = (await this.activeRooms()).filter(room => !room.isPrivate);
+        
+        // Главная арена видна всегда, даже пустая
+        if (!rooms.some(room => room.code === DEFAULT_ROOM_CODE)) {
+            rooms.push({
+                code: DEFAULT_ROOM_CODE,
+                name: 'Главная арена',
+                isPrivate: false,
+                maxPlayers: DEFAULT_MAX_PLAYERS,
+                mode: 'ffa',
+                players: 0
+            });
+        }
+        
+        rooms.sort((a, b) => b.players - a.players);
+        return rooms.map(({ code, name, players, maxPlayers, mode }) => ({ code, name, players, maxPlayers, mode: mode || 'ffa' }));
+    }
+}
+
+// Статистика игроков за все время, по сезонам, неделям и дням
+export class PlayerStats {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        
+        if (url.pathname === '/record' && request.method === 'POST') {
+            const { events } = await request.json();
+            await this.record(events);
+            return jsonResponse({ ok: true });
+        }
+        
+        if (url.pathname === '/leaderboard' && request.method === 'GET') {
+            const period = url.searchParams.get('period');
+            return jsonResponse({ period, players: await this.leaderboard(period) });
+        }
+        
+        const match = url.pathname.match(/^\/players\/([0-9a-f]{16})$/);
+        if (match && request.method === 'GET') {
+            const profile = await this.profile(match[1]);
+            return profile ? jsonResponse(profile) : jsonResponse({ error: 'not_found' }, 404);
+        }
+        
+        return new Response('Not found', { status: 404 });
+    }
+
+    async record(events) {
+        const now = Date.now();
+        const buckets = Object.values(statsBuckets(now));
+        const tops = await this.state.storage.get(buckets.map(bucket => 'top:' + bucket));
+        
+        for (const event of events) {
+            const stored = await this.state.storage.get(buckets.map(bucket => 'stats:' + bucket + ':' + event.profileId));
+            const updates = {
+                ['profile:' + event.profileId]: { id: event.profileId, name: event.name, lastSeen: now }
+            };
             
-            // Проверка попаданий
-            for (const [playerId, player] of Object.entries(this.players)) {
-                if (playerId === bullet.owner) continue;
-                
-                const dx = bullet.x - player.x;
-                const dy = bullet.y - player.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
+            for (const bucket of buckets) {
+                const key = 'stats:' + bucket + ':' + event.profileId;
+                const stats = stored.get(key) || { kills: 0, deaths: 0, bestStreak: 0, matches: 0 };
+                stats.kills += event.kills;
+                stats.deaths += event.deaths;
+                stats.matches += event.matches;
+                stats.bestStreak = Math.max(stats.bestStreak, event.bestStreak);
+                updates[key] = stats;
                 
-                if (dist < 25) {
-                    player.health -= 15;
-                    this.bullets.splice(i, 1);
-                    
-                    // Отправляем событие попадания
-                    this.broadcast({ type: 'hit', x: bullet.x, y: bullet.y });
-                    
-                    if (player.health <= 0) {
-                        // Игрок убит
-                        const killer = this.players[bullet.owner];
-                        if (killer) {
-                            killer.kills++;
-                            killer.score += 100;
-                        }
-                        
-                        this.broadcast({ 
-                            type: 'kill', 
-                            killer: killer?.name || 'Unknown',
-                            victim: player.name,
-                            x: player.x,
-                            y: player.y
-                        });
-                        
-                        // Респавн
-                        player.x = 500 + Math.random() * 1000;
-                        player.y = 500 + Math.random() * 1000;
-                        player.health = 100;
-                        player.vx = 0;
-                        player.vy = 0;
-                    }
-                    break;
-                }
+                const top = rankTop(tops.get('top:' + bucket) || [], event.profileId, stats);
+                tops.set('top:' + bucket, top);
+                updates['top:' + bucket] = top;
             }
+            
+            await this.state.storage.put(updates);
+        }
+        
+        if (await this.state.storage.getAlarm() === null) {
+            await this.state.storage.setAlarm(nextMidnight(now));
         }
     }
 
-    broadcast(message) {
-        const data = JSON.stringify(message);
-        for (const [, session] of this.sessions) {
-            try {
-                session.webSocket.send(data);
-            } catch (e) {
-                // Ignore send errors
+    // После полуночи UTC удаляются счетчики и рейтинги прошедших дней, недель и сезонов.
+    // Ключи периодов сортируются по времени, поэтому старые идут первыми
+    async alarm() {
+        const now = Date.now();
+        const current = statsBuckets(now);
+        let more = false;
+        
+        for (const period of EXPIRING_PERIODS) {
+            for (const prefix of ['stats:' + period + ':', 'top:' + period + ':']) {
+                const keep = prefix.split(':')[0] + ':' + current[period];
+                const page = await this.state.storage.list({ prefix, limit: STATS_PAGE_SIZE });
+                const stale = [...page.keys()].filter(key => key !== keep && !key.startsWith(keep + ':'));
+                if (stale.length) await this.state.storage.delete(stale);
+                if (stale.length === STATS_PAGE_SIZE) more = true;
             }
         }
+        
+        await this.state.storage.setAlarm(more ? now + 1000 : nextMidnight(now));
+    }
+
+    async leaderboard(period) {
+        const top = await this.state.storage.get('top:' + statsBuckets(Date.now())[period]) || [];
+        const profiles = await this.state.storage.get(top.map(entry => 'profile:' + entry.id));
+        return top.map((entry, index) => {
+            const profile = profiles.get('profile:' + entry.id);
+            return { rank: index + 1, name: profile ? profile.name : DEFAULT_PLAYER_NAME, id: entry.id, ...formatStats(entry) };
+        });
+    }
+
+    async profile(profileId) {
+        const profile = await this.state.storage.get('profile:' + profileId);
+        if (!profile) return null;
+        
+        const buckets = statsBuckets(Date.now());
+        const stored = await this.state.storage.get(
+            Object.values(buckets).map(bucket => 'stats:' + bucket + ':' + profileId)
+        );
+        const statsFor = bucket => formatStats(stored.get('stats:' + bucket + ':' + profileId));
+        
+        return {
+            id: profile.id,
+            name: profile.name,
+            lastSeen: profile.lastSeen,
+            lifetime: statsFor(buckets.all),
+            season: { id: buckets.season.slice('season:'.length), ...statsFor(buckets.season) },
+            week: statsFor(buckets.week),
+            day: statsFor(buckets.day)
+        };
+    }
+}
+
+// Архив записей матчей: комнаты присылают сюда записи законченных матчей
+export class ReplayArchive {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        
+        if (url.pathname === '/replays' && request.method === 'GET') {
+            return jsonResponse({ replays: await this.listReplays() });
+        }
+        
+        const match = url.pathname.match(/^\/replays\/([0-9a-f]{16})$/);
+        if (match && request.method === 'PUT') {
+            const { chunks, ...meta } = await request.json();
+            await this.save(match[1], meta, chunks);
+            return jsonResponse({ ok: true });
+        }
+        if (match && request.method === 'GET') {
+            const replay = await this.load(match[1]);
+            return replay ? jsonResponse(replay) : jsonResponse({ error: 'not_found' }, 404);
+        }
+        
+        return new Response('Not found', { status: 404 });
+    }
+
+    // Куски лежат отдельными ключами: одно значение storage ограничено 128 КиБ
+    async save(id, meta, chunks) {
+        const updates = { ['replay:' + id]: { ...meta, id, chunks: chunks.length } };
+        chunks.forEach((chunk, index) => {
+            updates['chunk:' + id + ':' + index] = chunk;
+        });
+        await this.state.storage.put(updates);
+        
+        // Старые записи вытесняются новыми
+        const replays = [...(await this.state.storage.list({ prefix: 'replay:' })).values()]
+            .sort((a, b) => b.endedAt - a.endedAt);
+        for (const replay of replays.slice(MAX_REPLAYS)) {
+            const keys = ['replay:' + replay.id];
+            for (let index = 0; index < replay.chunks; index++) keys.push('chunk:' + replay.id + ':' + index);
+            await this.state.storage.delete(keys);
+        }
+    }
+
+    async listReplays() {
+        const entries = await this.state.storage.list({ prefix: 'replay:' });
+        return [...entries.values()]
+            .filter(replay => !replay.isPrivate)
+            .sort((a, b) => b.endedAt - a.endedAt)
+            .map(({ id, room, roomName, mode, map, startedAt, endedAt, duration, players, winner }) =>
+                ({ id, room, roomName, mode, map, startedAt, endedAt, duration, players, winner }));
+    }
+
+    async load(id) {
+        const replay = await this.state.storage.get('replay:' + id);
+        if (!replay) return null;
+        
+        const keys = [];
+        for (let index = 0; index < replay.chunks; index++) keys.push('chunk:' + id + ':' + index);
+        const chunks = await this.state.storage.get(keys);
+        return { ...replay, chunks: keys.map(key => chunks.get(key)) };
     }
 }
 
+async function createRoom(request, env) {
+    let body = {};
+    try {
+        body = await request.json();
+    } catch (e) {
+        // Пустое тело - создаем комнату с настройками по умолчанию
+    }
+    
+    const maxPlayers = Math.max(MIN_ROOM_PLAYERS,
+        Math.min(MAX_ROOM_PLAYERS, parseInt(body.maxPlayers, 10) || DEFAULT_MAX_PLAYERS));
+    const isPrivate = !!body.isPrivate;
+    
+    // Повторяем на случай совпадения кода с уже существующей комнатой
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateRoomCode();
+        const name = sanitizeText(body.name, MAX_ROOM_NAME_LENGTH) || 'Комната ' + code;
+        const response = await getRoomStub(env, code).fetch('https://room/setup?room=' + code, {
+            method: 'POST',
+            body: JSON.stringify({ name, isPrivate, maxPlayers, ...matchSettings(body) })
+        });
+        
+        if (response.status === 409) continue;
+        return jsonResponse(await response.json(), 201);
+    }
+    
+    return jsonResponse({ error: 'Не удалось создать комнату' }, 503);
+}
+
+// /admin/rooms - все комнаты с игроками и метриками, /admin/rooms/:code - одна комната,
+// POST /admin/rooms/:code/{kick,ban,unban,announce,settings} - действия оператора,
+// POST /admin/announce - объявление во все комнаты
+async function handleAdmin(request, env, url) {
+    if (!env.ADMIN_TOKEN) {
+        return new Response('Not Found', { status: 404 });
+    }
+    if (!await isAdminRequest(request, env)) {
+        return jsonResponse({ error: 'unauthorized' }, 401);
+    }
+    
+    if (url.pathname === '/admin/rooms' && request.method === 'GET') {
+        const { rooms } = await (await getLobbyStub(env).fetch('https://lobby/rooms/all')).json();
+        const statuses = await Promise.all(rooms.map(async room => {
+            const response = await getRoomStub(env, room.code).fetch('https://room/admin?room=' + room.code);
+            return response.ok ? response.json() : null;
+        }));
+        return jsonResponse({ rooms: statuses.filter(Boolean) });
+    }
+    
+    if (url.pathname === '/admin/announce' && request.method === 'POST') {
+        let text;
+        try {
+            text = sanitizeText((await request.json()).text, MAX_ANNOUNCEMENT_LENGTH);
+        } catch (e) {
+            return jsonResponse({ error: 'invalid JSON' }, 400);
+        }
+        if (!text) {
+            return jsonResponse({ error: 'text is required' }, 400);
+        }
+        
+        const { rooms } = await (await getLobbyStub(env).fetch('https://lobby/rooms/all')).json();
+        const results = await Promise.all(rooms.map(room =>
+            getRoomStub(env, room.code).fetch('https://room/admin/announce?room=' + room.code, {
+                method: 'POST',
+                body: JSON.stringify({ text })
+            })));
+        return jsonResponse({ ok: true, rooms: results.filter(response => response.ok).length });
+    }
+    
+    const match = url.pathname.match(/^\/admin\/rooms\/([^/]+)(\/(kick|ban|unban|announce|settings))?$/);
+    if (!match) {
+        return new Response('Not Found', { status: 404 });
+    }
+    const code = normalizeRoomCode(match[1]);
+    if (!code) {
+        return jsonResponse({ error: 'invalid room code' }, 400);
+    }
+    if (request.method !== (match[2] ? 'POST' : 'GET')) {
+        return new Response('Method Not Allowed', { status: 405 });
+    }
+    
+    return getRoomStub(env, code).fetch('https://room/admin' + (match[2] || '') + '?room=' + code, {
+        method: request.method,
+        body: match[2] ? await request.text() : undefined
+    });
+}
+
 export default {
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
@@ -289,11 +1602,62 @@ export default {
             });
         }
         
-        // WebSocket connection
+        // Список публичных комнат и создание новой
+        if (url.pathname === '/api/rooms') {
+            if (request.method === 'GET') {
+                return getLobbyStub(env).fetch('https://lobby/rooms');
+            }
+            if (request.method === 'POST') {
+                return createRoom(request, env);
+            }
+            return new Response('Method Not Allowed', { status: 405 });
+        }
+        
+        // Глобальная таблица лидеров и профили игроков
+        if (url.pathname === '/api/leaderboard' && request.method === 'GET') {
+            const period = url.searchParams.get('period') || 'all';
+            if (!LEADERBOARD_PERIODS.includes(period)) {
+                return jsonResponse({ error: 'period must be one of: ' + LEADERBOARD_PERIODS.join(', ') }, 400);
+            }
+            return getStatsStub(env).fetch('https://stats/leaderboard?period=' + period);
+        }
+        
+        const profileMatch = url.pathname.match(/^\/api\/players\/([^/]+)$/);
+        if (profileMatch && request.method === 'GET') {
+            if (!/^[0-9a-f]{16}$/.test(profileMatch[1])) {
+                return jsonResponse({ error: 'invalid player id' }, 400);
+            }
+            return getStatsStub(env).fetch('https://stats/players/' + profileMatch[1]);
+        }
+        
+        // Записи матчей: приватные комнаты в список не попадают, но открываются по ссылке
+        if (url.pathname === '/api/replays' && request.method === 'GET') {
+            return getReplayStub(env).fetch('https://replays/replays');
+        }
+        
+        const replayMatch = url.pathname.match(/^\/api\/replays\/([^/]+)$/);
+        if (replayMatch && request.method === 'GET') {
+            if (!/^[0-9a-f]{16}$/.test(replayMatch[1])) {
+                return jsonResponse({ error: 'invalid replay id' }, 400);
+            }
+            return getReplayStub(env).fetch('https://replays/replays/' + replayMatch[1]);
+        }
+        
+        // Администрирование живых комнат по токену оператора
+        if (url.pathname.startsWith('/admin/')) {
+            return handleAdmin(request, env, url);
+        }
+        
+        // WebSocket connection; ?spectate=1 - зритель без своего корабля
         if (url.pathname === '/ws') {
-            const roomId = env.GAME_ROOM.idFromName('main-room');
-            const room = env.GAME_ROOM.get(roomId);
-            return room.fetch(request);
+            const requested = url.searchParams.get('room');
+            const code = requested ? normalizeRoomCode(requested) : DEFAULT_ROOM_CODE;
+            if (!code) {
+                return new Response('Invalid room code', { status: 400 });
+            }
+            
+            url.searchParams.set('room', code);
+            return getRoomStub(env, code).fetch(new Request(url, request));
         }
         
         return new Response('Not Found', { status: 404 });
@@ -313,6 +1677,11 @@ const HTML_CONTENT = `<!DOCTYPE html>
         #gameCanvas { display: block; background: radial-gradient(ellipse at center, #1a1a2e 0%, #0f0f1a 100%); }
         #ui { position: fixed; top: 20px; left: 20px; color: #0ff; font-size: 16px; text-shadow: 0 0 10px #0ff; z-index: 100; }
         #health-bar { width: 200px; height: 20px; background: rgba(255,0,0,0.3); border: 2px solid #f00; border-radius: 10px; overflow: hidden; margin-top: 10px; }
+        #shield-bar { width: 200px; height: 8px; background: rgba(68,136,255,0.2); border: 1px solid #48f; border-radius: 4px; overflow: hidden; margin-top: 5px; }
+        #shield-fill { height: 100%; width: 0; background: #48f; }
+        #weapons { margin-top: 10px; font-size: 14px; }
+        #weapons span { margin-right: 10px; opacity: 0.5; }
+        #weapons span.active { opacity: 1; font-weight: bold; }
         #health-fill { height: 100%; background: linear-gradient(90deg, #f00, #ff0); transition: width 0.3s; }
         #scoreboard { position: fixed; top: 20px; right: 20px; color: #0f0; font-size: 14px; text-shadow: 0 0 10px #0f0; text-align: right; }
         #connection-status { position: fixed; bottom: 20px; left: 20px; padding: 10px 20px; border-radius: 20px; font-size: 14px; }
@@ -325,7 +1694,61 @@ const HTML_CONTENT = `<!DOCTYPE html>
         #start-btn { padding: 15px 50px; font-size: 20px; background: linear-gradient(135deg, #0ff, #00f); border: none; color: #fff; border-radius: 30px; cursor: pointer; transition: all 0.3s; }
         #start-btn:hover { transform: scale(1.1); box-shadow: 0 0 30px #0ff; }
         #controls { margin-top: 40px; color: #666; font-size: 14px; text-align: center; }
+        #lobby { display: flex; gap: 30px; margin-top: 30px; }
+        .lobby-panel { width: 340px; padding: 20px; border: 1px solid rgba(0,255,255,0.3); border-radius: 10px; background: rgba(0,255,255,0.05); color: #0ff; }
+        .lobby-panel h3 { margin: 10px 0; display: flex; justify-content: space-between; align-items: center; }
+        .lobby-input { width: 100%; padding: 8px 12px; margin-bottom: 10px; font-size: 14px; background: rgba(0,255,255,0.1); border: 1px solid #0ff; color: #0ff; border-radius: 6px; outline: none; }
+        .lobby-input option { background: #000; }
+        .lobby-check { display: block; margin-bottom: 10px; font-size: 14px; color: #8ff; }
+        .lobby-btn { padding: 6px 16px; font-size: 14px; background: transparent; border: 1px solid #0ff; color: #0ff; border-radius: 6px; cursor: pointer; }
+        .lobby-btn:hover:not(:disabled) { background: rgba(0,255,255,0.2); }
+        .lobby-btn:disabled { opacity: 0.4; cursor: default; }
+        #room-list, #replay-list { max-height: 260px; overflow-y: auto; }
+        .room-row { display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid rgba(0,255,255,0.1); font-size: 14px; }
+        .room-row span:first-child { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .room-empty { color: #688; font-size: 14px; }
+        #lobby-error { min-height: 20px; margin-top: 15px; color: #f44; }
+        #room-code { cursor: pointer; text-decoration: underline dotted; }
+        #leaderboard-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        #leaderboard-table th, #leaderboard-table td { padding: 3px 4px; text-align: right; white-space: nowrap; }
+        #leaderboard-table th { color: #8ff; font-weight: normal; border-bottom: 1px solid rgba(0,255,255,0.3); }
+        #leaderboard-table th:nth-child(2), #leaderboard-table td:nth-child(2) { text-align: left; max-width: 120px; overflow: hidden; text-overflow: ellipsis; }
+        #leaderboard-table tr.me td { color: #ff0; }
+        #match-bar { position: fixed; top: 20px; left: 50%; transform: translateX(-50%); display: flex; gap: 20px; align-items: center; padding: 8px 20px; border: 1px solid rgba(0,255,255,0.3); border-radius: 20px; background: rgba(0,0,0,0.5); color: #0ff; font-size: 16px; white-space: nowrap; }
+        #match-timer { font-weight: bold; min-width: 60px; text-align: center; }
+        #match-results, #respawn-overlay { position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); display: none; padding: 20px 40px; border: 1px solid #0ff; border-radius: 10px; background: rgba(0,0,0,0.85); color: #0ff; text-align: center; z-index: 150; }
+        #match-results h2 { margin-bottom: 15px; }
+        #match-results table { border-collapse: collapse; margin: 0 auto; font-size: 14px; }
+        #match-results td { padding: 3px 10px; }
+        #respawn-overlay { top: 35%; font-size: 20px; }
+        #minimap { position: fixed; bottom: 20px; right: 20px; border: 1px solid rgba(0,255,255,0.4); background: rgba(0,0,20,0.6); }
+        #spectator-bar { position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); display: none; gap: 15px; align-items: center; padding: 8px 20px; border: 1px solid rgba(0,255,255,0.3); border-radius: 20px; background: rgba(0,0,0,0.6); color: #0ff; font-size: 14px; white-space: nowrap; z-index: 120; }
+        #replay-controls { display: none; gap: 10px; align-items: center; }
+        #replay-seek { width: 240px; }
+        #replay-speed { width: auto; margin: 0; padding: 4px 8px; }
+        body.spectating .player-only { display: none; }
         #kill-feed { position: fixed; bottom: 100px; left: 20px; color: #ff0; font-size: 14px; }
+        #controls-panel { position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); display: none; min-width: 320px; padding: 20px 25px; border: 1px solid #0ff; border-radius: 10px; background: rgba(0,0,20,0.95); color: #fff; z-index: 300; }
+        #controls-panel h3 { color: #0ff; margin-bottom: 15px; }
+        .binding-row { display: flex; justify-content: space-between; align-items: center; gap: 20px; margin-bottom: 8px; }
+        .binding-row .lobby-btn { min-width: 130px; }
+        .binding-row .lobby-btn.waiting { background: rgba(0,255,255,0.2); }
+        #controls-hint { margin: 12px 0; max-width: 340px; color: #888; font-size: 12px; }
+        #controls-buttons { display: flex; justify-content: flex-end; gap: 10px; }
+        #ui-controls-btn { margin-top: 10px; }
+        #touch-controls { display: none; }
+        body.touch.playing #touch-controls { display: block; }
+        body.touch #kill-feed { bottom: 200px; }
+        body.touch canvas { touch-action: none; }
+        .touch-stick { position: fixed; bottom: 40px; width: 130px; height: 130px; border: 2px solid rgba(0,255,255,0.4); border-radius: 50%; background: rgba(0,255,255,0.08); touch-action: none; z-index: 130; }
+        .touch-knob { position: absolute; left: 50%; top: 50%; width: 56px; height: 56px; margin: -28px 0 0 -28px; border-radius: 50%; background: rgba(0,255,255,0.5); pointer-events: none; }
+        #move-stick { left: 40px; }
+        #aim-stick { right: 200px; }
+        .touch-btn { position: fixed; width: 64px; height: 64px; border: 2px solid rgba(0,255,255,0.5); border-radius: 50%; background: rgba(0,0,0,0.4); color: #fff; font-size: 26px; touch-action: none; z-index: 130; }
+        #fire-btn { right: 230px; bottom: 190px; width: 80px; height: 80px; border-color: #f80; font-size: 32px; }
+        #weapon-btn { right: 330px; bottom: 150px; }
+        #boost-btn { left: 190px; bottom: 70px; }
+        #announcement { position: fixed; top: 60px; left: 50%; transform: translateX(-50%); display: none; max-width: 70%; padding: 10px 25px; border: 1px solid #f80; border-radius: 8px; background: rgba(40,20,0,0.85); color: #fc8; font-size: 16px; text-align: center; z-index: 150; }
         .kill-msg { opacity: 0; animation: fadeIn 0.3s forwards, fadeOut 0.5s 3s forwards; margin-bottom: 5px; }
         @keyframes fadeIn { to { opacity: 1; } }
         @keyframes fadeOut { to { opacity: 0; } }
@@ -337,64 +1760,268 @@ const HTML_CONTENT = `<!DOCTYPE html>
         <p>Многопользовательские космические бои</p>
         <input type="text" id="name-input" placeholder="Ваше имя" maxlength="15">
         <button id="start-btn">ИГРАТЬ</button>
-        <div id="controls"><p>WASD - движение | ЛКМ - стрелять | SPACE - ускорение</p></div>
+        <div id="lobby">
+            <div class="lobby-panel">
+                <h3>Открытые комнаты <button id="refresh-rooms-btn" class="lobby-btn">⟳</button></h3>
+                <div id="room-list"></div>
+            </div>
+            <div class="lobby-panel">
+                <h3>Создать комнату</h3>
+                <input type="text" id="room-name-input" class="lobby-input" placeholder="Название комнаты" maxlength="24">
+                <select id="room-size-input" class="lobby-input">
+                    <option value="2">2 игрока</option>
+                    <option value="4">4 игрока</option>
+                    <option value="8" selected>8 игроков</option>
+                    <option value="16">16 игроков</option>
+                    <option value="32">32 игрока</option>
+                </select>
+                <select id="room-mode-input" class="lobby-input">
+                    <option value="ffa" selected>Все против всех</option>
+                    <option value="tdm">Командный бой</option>
+                    <option value="ctf">Захват флага</option>
+                </select>
+                <select id="room-map-input" class="lobby-input">
+                    <option value="open" selected>Открытый космос</option>
+                    <option value="belt">Пояс астероидов</option>
+                    <option value="torus">Тор (без границ)</option>
+                </select>
+                <select id="room-bots-input" class="lobby-input">
+                    <option value="0">Без ботов</option>
+                    <option value="2">Боты: до 2 участников</option>
+                    <option value="4" selected>Боты: до 4 участников</option>
+                    <option value="8">Боты: до 8 участников</option>
+                </select>
+                <select id="room-bot-difficulty-input" class="lobby-input">
+                    <option value="easy">Боты: новички</option>
+                    <option value="normal" selected>Боты: пилоты</option>
+                    <option value="hard">Боты: асы</option>
+                </select>
+                <select id="room-time-input" class="lobby-input">
+                    <option value="180">3 минуты</option>
+                    <option value="300" selected>5 минут</option>
+                    <option value="600">10 минут</option>
+                    <option value="900">15 минут</option>
+                </select>
+                <input type="number" id="room-score-input" class="lobby-input" placeholder="Лимит очков (по умолчанию для режима)" min="1" max="500">
+                <label class="lobby-check"><input type="checkbox" id="room-private-input"> Приватная (вход только по коду)</label>
+                <button id="create-room-btn" class="lobby-btn">Создать</button>
+                <h3>Войти по коду</h3>
+                <input type="text" id="room-code-input" class="lobby-input" placeholder="Код комнаты" maxlength="8">
+                <button id="join-code-btn" class="lobby-btn">Войти</button>
+            </div>
+            <div class="lobby-panel">
+                <h3>🏆 Зал славы</h3>
+                <table id="leaderboard-table">
+                    <thead><tr><th>#</th><th>Пилот</th><th>Убийства</th><th>Смерти</th><th>K/D</th><th>Серия</th><th>Матчи</th></tr></thead>
+                    <tbody id="leaderboard-body"></tbody>
+                </table>
+                <h3>📼 Записи матчей <button id="refresh-replays-btn" class="lobby-btn">⟳</button></h3>
+                <div id="replay-list"></div>
+            </div>
+        </div>
+        <div id="lobby-error"></div>
+        <div id="controls"><p><span id="move-keys">WASD</span> - движение | ЛКМ - стрелять (лазер - удерживать) | <span id="boost-key">SPACE</span> - ускорение | 1-5 - оружие <button id="controls-btn" class="lobby-btn">⚙ Управление</button></p><p>Наблюдение: WASD - камера (SHIFT - быстрее) | Q/E - следить за игроком | F - свободная камера | Запись: SPACE - пауза, ←/→ - перемотка</p></div>
     </div>
     <canvas id="gameCanvas"></canvas>
     <div id="ui">
         <div id="player-name">Игрок</div>
-        <div>Очки: <span id="score">0</span></div>
-        <div>Убийства: <span id="kills">0</span></div>
-        <div id="health-bar"><div id="health-fill" style="width: 100%"></div></div>
+        <div>Комната: <span id="room-code" title="Скопировать ссылку">—</span></div>
+        <div class="player-only">Очки: <span id="score">0</span></div>
+        <div class="player-only">Убийства: <span id="kills">0</span></div>
+        <div id="health-bar" class="player-only"><div id="health-fill" style="width: 100%"></div></div>
+        <div id="shield-bar" class="player-only"><div id="shield-fill"></div></div>
+        <div id="weapons" class="player-only"></div>
+        <button id="ui-controls-btn" class="lobby-btn">⚙</button>
     </div>
     <div id="scoreboard"></div>
+    <div id="match-bar"><span id="match-mode"></span><span id="match-phase"></span><span id="match-timer"></span><span id="match-teams"></span></div>
+    <div id="match-results"></div>
+    <div id="respawn-overlay">Корабль уничтожен. Возрождение...</div>
     <div id="connection-status" class="disconnected">Отключено</div>
     <div id="kill-feed"></div>
+    <div id="announcement"></div>
+    <div id="controls-panel"><h3>⚙ Управление</h3><div id="binding-list"></div><div id="controls-hint">Нажмите на клавишу действия, затем новую клавишу; Esc - отмена. Мышь - прицел и огонь. Геймпад: левый стик - движение, правый - прицел, A/RT - огонь, LB/LT - ускорение, RB/Y - следующее оружие.</div><div id="controls-buttons"><button id="reset-bindings-btn" class="lobby-btn">По умолчанию</button><button id="close-controls-btn" class="lobby-btn">Готово</button></div></div>
+    <div id="touch-controls"><div id="move-stick" class="touch-stick"><div class="touch-knob"></div></div><div id="aim-stick" class="touch-stick player-only"><div class="touch-knob"></div></div><button id="fire-btn" class="touch-btn player-only">🔥</button><button id="weapon-btn" class="touch-btn player-only">🔄</button><button id="boost-btn" class="touch-btn player-only">⚡</button></div>
+    <div id="spectator-bar"><span id="spectator-camera"></span><span id="replay-controls"><button id="replay-play-btn" class="lobby-btn">⏸</button><input type="range" id="replay-seek" min="0" max="1000" value="0"><span id="replay-time"></span><select id="replay-speed" class="lobby-input"><option value="0.25">×0.25</option><option value="0.5">×0.5</option><option value="1" selected>×1</option><option value="2">×2</option><option value="4">×4</option></select></span><button id="spectator-exit-btn" class="lobby-btn">Выйти</button></div>
+    <canvas id="minimap" width="160" height="160"></canvas>
     <script>
         const canvas = document.getElementById('gameCanvas');
         const ctx = canvas.getContext('2d');
         canvas.width = window.innerWidth;
         canvas.height = window.innerHeight;
-        let ws = null, playerId = null, playerName = 'Игрок', players = {}, bullets = [], stars = [], explosions = [], myShip = null, keys = {}, mousePos = { x: 0, y: 0 }, gameStarted = false, lastShot = 0;
-        const SHOOT_COOLDOWN = 200;
-        for (let i = 0; i < 200; i++) stars.push({ x: Math.random() * 3000 - 500, y: Math.random() * 3000 - 500, size: Math.random() * 2 + 0.5, brightness: Math.random() });
+        let myProfileId = null, ws = null, playerId = null, playerName = 'Игрок', players = {}, bullets = [], stars = [], explosions = [], myShip = null, keys = {}, mousePos = { x: 0, y: 0 }, gameStarted = false, lastShot = 0, currentRoom = null;
+        const DEFAULT_ROOM_CODE = '${DEFAULT_ROOM_CODE}', CLOSE_REPLACED = ${CLOSE_REPLACED}, CLOSE_ROOM_FULL = ${CLOSE_ROOM_FULL}, CLOSE_ROOM_NOT_FOUND = ${CLOSE_ROOM_NOT_FOUND}, CLOSE_KICKED = ${CLOSE_KICKED}, CLOSE_BANNED = ${CLOSE_BANNED}, CLOSE_POLICY_VIOLATION = ${CLOSE_POLICY_VIOLATION};
+        const SNAPSHOT_MESSAGE = ${SNAPSHOT_MESSAGE}, SNAPSHOT_SCHEMA = ${JSON.stringify(SNAPSHOT_SCHEMA)}, FIELD_SIZES = ${JSON.stringify(FIELD_SIZES)};
+        let playerMeta = {}, snapshotStates = new Map(), lastSnapshotSeq = 0;
+        const PHYSICS = ${JSON.stringify(PHYSICS)}, INTERPOLATION_DELAY = ${INTERPOLATION_DELAY}, SNAPSHOT_GROUPS = ${JSON.stringify(SNAPSHOT_GROUPS)};
+        ${stepShip}
+        ${wrapDelta}
+        let mapInfo = null, physics = ${JSON.stringify(mapPhysics(MAPS[DEFAULT_MAP]))}, asteroids = [];
+        const TEAMS = ${JSON.stringify(TEAMS)}, GAME_MODES = ${JSON.stringify(GAME_MODES)};
+        const PHASE_LABELS = { warmup: 'Разминка', countdown: 'Старт через', live: 'Матч', round_end: 'Матч окончен', intermission: 'Следующий матч через' };
+        let match = null, matchDeadline = null, flags = [], announcementTimer = null;
+        const BOT_TAG = '[БОТ] ';
+        const WEAPONS = ${JSON.stringify(WEAPONS)}, WEAPON_TYPES = ${JSON.stringify(WEAPON_TYPES)}, PICKUPS = ${JSON.stringify(PICKUPS)};
+        let pickups = [], loadout = { weapon: WEAPON_TYPES[0], arsenal: {} }, chargeStart = null;
+        const REPLAY_FRAME = ${REPLAY_FRAME}, REPLAY_SEEK_STEP = 5000;
+        let spectating = false, replay = null, replayDragging = false, camera = { x: null, y: null, follow: null };
+        const CONTROL_ACTIONS = { up: 'Вверх', down: 'Вниз', left: 'Влево', right: 'Вправо', boost: 'Ускорение' }, DEFAULT_BINDINGS = { up: 'KeyW', down: 'KeyS', left: 'KeyA', right: 'KeyD', boost: 'Space' }, KEY_LABELS = { Space: 'Пробел', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        const STICK_RADIUS = 50, STICK_DEADZONE = 0.15, PAD_DEADZONE = 0.2, PAD_AIM_THRESHOLD = 0.3;
+        let bindings = loadBindings(), rebinding = null, sticks = { move: null, aim: null }, aim = { angle: 0, stick: false }, touchFire = false, touchBoost = false, pad = { x: 0, y: 0, boost: false, fire: false, next: false };
+        let inputSeq = 0, pendingInputs = [], predicted = null, correction = { x: 0, y: 0 }, interpBuffer = [], clockOffset = null;
+        for (let i = 0; i < 200; i++) stars.push({ x: Math.random(), y: Math.random(), size: Math.random() * 2 + 0.5, brightness: Math.random() });
         const shipColors = ['#0ff', '#f0f', '#ff0', '#0f0', '#f80', '#80f', '#0ff', '#f00'];
         function connect() {
             const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-            ws = new WebSocket(protocol + '//' + location.host + '/ws');
-            ws.onopen = () => { document.getElementById('connection-status').textContent = 'Подключено'; document.getElementById('connection-status').className = 'connected'; ws.send(JSON.stringify({ type: 'join', name: playerName })); };
-            ws.onmessage = (e) => handleMessage(JSON.parse(e.data));
-            ws.onclose = () => { document.getElementById('connection-status').textContent = 'Отключено'; document.getElementById('connection-status').className = 'disconnected'; setTimeout(connect, 2000); };
-            ws.onerror = () => { if (!playerId) { playerId = 'local_' + Math.random().toString(36).substr(2, 9); myShip = { id: playerId, name: playerName, x: canvas.width / 2, y: canvas.height / 2, angle: 0, vx: 0, vy: 0, health: 100, score: 0, kills: 0, color: shipColors[Math.floor(Math.random() * shipColors.length)] }; players[playerId] = myShip; } };
+            ws = new WebSocket(protocol + '//' + location.host + '/ws?room=' + encodeURIComponent(currentRoom) + (spectating ? '&spectate=1' : ''));
+            ws.onopen = () => { document.getElementById('connection-status').textContent = 'Подключено'; document.getElementById('connection-status').className = 'connected'; if (spectating) return; const token = sessionStorage.getItem('resume:' + currentRoom); ws.send(token ? JSON.stringify({ type: 'resume', token }) : joinMessage()); };
+            ws.binaryType = 'arraybuffer';
+            ws.onmessage = (e) => typeof e.data === 'string' ? handleMessage(JSON.parse(e.data)) : handleSnapshot(e.data);
+            ws.onclose = (e) => { document.getElementById('connection-status').textContent = 'Отключено'; document.getElementById('connection-status').className = 'disconnected'; if (e.code === CLOSE_REPLACED) { showLobby('Игра продолжена в другом окне'); return; } if (e.code === CLOSE_POLICY_VIOLATION) { showLobby('Отключено сервером: слишком много некорректных сообщений'); return; } if (e.code === CLOSE_KICKED || e.code === CLOSE_BANNED) { showLobby(e.code === CLOSE_KICKED ? 'Вы исключены из комнаты' : 'Вход в комнату запрещен'); return; } if (e.code === CLOSE_ROOM_FULL || e.code === CLOSE_ROOM_NOT_FOUND) { showLobby(e.code === CLOSE_ROOM_FULL ? 'Комната заполнена' : 'Комната не найдена'); return; } if (gameStarted) setTimeout(connect, 2000); };
+            ws.onerror = () => { if (!playerId && !spectating) { playerId = 'local_' + Math.random().toString(36).substr(2, 9); myShip = { id: playerId, name: playerName, x: canvas.width / 2, y: canvas.height / 2, angle: 0, vx: 0, vy: 0, health: 100, score: 0, kills: 0, color: shipColors[Math.floor(Math.random() * shipColors.length)] }; players[playerId] = myShip; } };
         }
         function handleMessage(data) {
             switch(data.type) {
-                case 'init': playerId = data.id; myShip = data.player; players = data.players; break;
-                case 'update': players = data.players; bullets = data.bullets || []; if (players[playerId]) { myShip = players[playerId]; document.getElementById('score').textContent = myShip.score; document.getElementById('kills').textContent = myShip.kills; document.getElementById('health-fill').style.width = myShip.health + '%'; } break;
-                case 'kill': addKillMessage(data.killer, data.victim); createExplosion(data.x, data.y); break;
+                case 'init': playerId = data.id; resetWorld(data); inputSeq = data.inputSeq || 0; pendingInputs = []; if (data.resumeToken) sessionStorage.setItem('resume:' + currentRoom, data.resumeToken); document.getElementById('room-code').textContent = data.room.code; if (data.loadout) setLoadout(data.loadout); break;
+                case 'loadout': setLoadout(data.loadout); break;
+                case 'pickups': pickups = data.pickups; break;
+                case 'match': setMatch(data.match); break;
+                case 'flags': flags = data.flags; if (data.event) addFlagMessage(data.event); break;
+                case 'meta': playerMeta[data.player.nid] = data.player; break;
+                case 'join': playerMeta[data.player.nid] = data.player; break;
+                case 'leave': delete playerMeta[data.nid]; delete players[data.id]; break;
+                case 'kill': addKillMessage(data.killer, data.victim, data.weapon); createExplosion(data.x, data.y); break;
                 case 'hit': createSmallExplosion(data.x, data.y); break;
+                case 'announcement': showAnnouncement(data.text); break;
+                case 'error': if (data.code === 'resume_failed') { sessionStorage.removeItem('resume:' + currentRoom); ws.send(joinMessage()); } break;
+                case 'ping': if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'pong', t: data.t })); break;
             }
             updateScoreboard();
         }
-        function addKillMessage(killer, victim) { const feed = document.getElementById('kill-feed'); const msg = document.createElement('div'); msg.className = 'kill-msg'; msg.innerHTML = '<span style="color:#0f0">' + killer + '</span> уничтожил <span style="color:#f00">' + victim + '</span>'; feed.appendChild(msg); setTimeout(() => msg.remove(), 4000); }
+        function resetWorld(data) { myShip = null; players = {}; bullets = []; playerMeta = {}; data.players.forEach(p => playerMeta[p.nid] = p); snapshotStates.clear(); lastSnapshotSeq = 0; predicted = null; interpBuffer = []; clockOffset = null; mapInfo = data.map; physics = Object.assign({}, PHYSICS, { worldSize: data.map.size, wrap: data.map.wrap }); asteroids = []; flags = data.flags || []; pickups = data.pickups || []; setMatch(data.match); }
+        function readField(view, offset, type) { switch (type) { case 'int16': return view.getInt16(offset, true); case 'uint16': case 'angle': return view.getUint16(offset, true); case 'uint8': case 'bool': return view.getUint8(offset); case 'uint32': return view.getUint32(offset, true); } }
+        function dequantize(field, raw) { if (field.values) return field.values[raw]; if (field.type === 'int16') return raw / field.scale; if (field.type === 'angle') { const a = raw / 65536 * Math.PI * 2; return a > Math.PI ? a - Math.PI * 2 : a; } if (field.type === 'bool') return raw === 1; return raw; }
+        function decodeSnapshot(buffer) { const view = new DataView(buffer); let offset = 0; if (view.getUint8(offset) !== SNAPSHOT_MESSAGE) return null; offset += 1; const seq = view.getUint32(offset, true); offset += 4; const baseSeq = view.getUint32(offset, true); offset += 4; const tick = view.getUint32(offset, true); offset += 4; const readGroup = (fields, idType, maskType) => { const changed = [], removed = []; let count = view.getUint16(offset, true); offset += 2; for (let n = 0; n < count; n++) { const id = readField(view, offset, idType); offset += FIELD_SIZES[idType]; const mask = readField(view, offset, maskType); offset += FIELD_SIZES[maskType]; const values = {}; fields.forEach((field, i) => { if (mask & (1 << i)) { values[field.key] = dequantize(field, readField(view, offset, field.type)); offset += FIELD_SIZES[field.type]; } }); changed.push({ id, values }); } count = view.getUint16(offset, true); offset += 2; for (let n = 0; n < count; n++) { removed.push(readField(view, offset, idType)); offset += FIELD_SIZES[idType]; } return { changed, removed }; }; const snapshot = { seq, baseSeq, tick }; SNAPSHOT_GROUPS.forEach(group => { snapshot[group.key] = readGroup(SNAPSHOT_SCHEMA[group.key], group.idType, group.maskType); }); return snapshot; }
+        function applyDelta(base, group) { const result = new Map(); if (base) base.forEach((entity, id) => result.set(id, Object.assign({}, entity))); group.removed.forEach(id => result.delete(id)); group.changed.forEach(change => result.set(change.id, Object.assign(result.get(change.id) || {}, change.values))); return result; }
+        function handleSnapshot(buffer) { const snapshot = decodeSnapshot(buffer); if (!snapshot) return; if (snapshot.baseSeq) { if (snapshot.seq <= lastSnapshotSeq || !snapshotStates.has(snapshot.baseSeq)) return; } else { snapshotStates.clear(); } const base = snapshotStates.get(snapshot.baseSeq); const state = {}; SNAPSHOT_GROUPS.forEach(group => { state[group.key] = applyDelta(base && base[group.key], snapshot[group.key]); }); snapshotStates.set(snapshot.seq, state); snapshotStates.delete(snapshot.seq - 64); lastSnapshotSeq = snapshot.seq; applyState(state, snapshot.tick); }
+        function applyState(state, tick) { const next = {}; state.players.forEach((values, nid) => { const meta = playerMeta[nid]; if (meta) next[meta.id] = Object.assign({}, meta, values); }); players = next; bullets = []; state.bullets.forEach((values, id) => { const owner = playerMeta[values.ownerNid]; bullets.push(Object.assign({ id, owner: owner ? owner.id : null }, values)); }); asteroids = []; state.asteroids.forEach((values, id) => asteroids.push(Object.assign({ id }, values))); const time = tick * PHYSICS.tickMs; if (!replay) syncClock(time); interpBuffer.push({ time, players, bullets, bulletsById: new Map(bullets.map(b => [b.id, b])), asteroids, asteroidsById: new Map(asteroids.map(a => [a.id, a])) }); if (interpBuffer.length > 30) interpBuffer.shift(); reconcile(players[playerId]); if (players[playerId]) { myShip = players[playerId]; updateHud(); } updateScoreboard(); }
+        function syncClock(time) { const offset = time - performance.now(); if (clockOffset === null || Math.abs(offset - clockOffset) > 1000) { clockOffset = offset; interpBuffer = []; } else { clockOffset += (offset - clockOffset) * 0.1; } }
+        function reconcile(serverShip) { if (!serverShip) { predicted = null; return; } pendingInputs = pendingInputs.filter(input => input.seq > serverShip.inputSeq); const before = predicted; predicted = { x: serverShip.x, y: serverShip.y, vx: serverShip.vx, vy: serverShip.vy, angle: serverShip.angle, thrust: serverShip.thrust }; pendingInputs.forEach(input => stepShip(predicted, input, physics)); if (!before) return; correction.x += before.x - predicted.x; correction.y += before.y - predicted.y; if (Math.hypot(correction.x, correction.y) > 100) correction = { x: 0, y: 0 }; }
+        function lerpEntity(from, to, t) { if (!from) return to; const result = Object.assign({}, to); result.x = from.x + wrapDelta(to.x - from.x, physics) * t; result.y = from.y + wrapDelta(to.y - from.y, physics) * t; if (to.angle !== undefined) { let delta = to.angle - from.angle; if (delta > Math.PI) delta -= Math.PI * 2; if (delta < -Math.PI) delta += Math.PI * 2; result.angle = from.angle + delta * t; } return result; }
+        function interpolatedView() { if (!interpBuffer.length) return { players: Object.values(players), bullets, asteroids }; const renderTime = (replay ? replay.clock : performance.now() + clockOffset) - INTERPOLATION_DELAY; const next = interpBuffer.findIndex(frame => frame.time >= renderTime); if (next <= 0) { const frame = next === 0 ? interpBuffer[0] : interpBuffer[interpBuffer.length - 1]; return { players: Object.values(frame.players), bullets: frame.bullets, asteroids: frame.asteroids }; } const from = interpBuffer[next - 1], to = interpBuffer[next], t = (renderTime - from.time) / (to.time - from.time); return { players: Object.values(to.players).map(p => lerpEntity(from.players[p.id], p, t)), bullets: to.bullets.map(b => lerpEntity(from.bulletsById.get(b.id), b, t)), asteroids: to.asteroids.map(a => lerpEntity(from.asteroidsById.get(a.id), a, t)) }; }
+        function updateHud() { document.getElementById('score').textContent = myShip.score; document.getElementById('kills').textContent = myShip.kills; document.getElementById('health-fill').style.width = myShip.health + '%'; document.getElementById('shield-fill').style.width = Math.min(100, (myShip.shield || 0) / PICKUPS.shield.shield * 100) + '%'; }
+        function setLoadout(next) { loadout = next; if (loadout.weapon !== 'laser') chargeStart = null; const list = document.getElementById('weapons'); list.textContent = ''; WEAPON_TYPES.forEach((type, i) => { const weapon = WEAPONS[type]; if (weapon.ammo !== null && !loadout.arsenal[type]) return; const item = coloredText((i + 1) + ' ' + weapon.name + (weapon.ammo === null ? '' : ' ' + loadout.arsenal[type]), weapon.color); if (type === loadout.weapon) item.className = 'active'; list.appendChild(item); }); }
+        function selectWeapon(type) { if (type === loadout.weapon || (WEAPONS[type].ammo !== null && !loadout.arsenal[type])) return; if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'weapon', weapon: type })); }
+        function getProfileKey() { let key = localStorage.getItem('profileKey'); if (!/^[0-9a-f]{32}$/.test(key || '')) { key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join(''); localStorage.setItem('profileKey', key); } return key; }
+        function joinMessage() { return JSON.stringify({ type: 'join', name: playerName, profileKey: getProfileKey() }); }
+        function loadLeaderboard() { fetch('/api/leaderboard?period=all').then(r => r.json()).then(data => renderLeaderboard(data.players || [])).catch(() => renderLeaderboard([])); }
+        function renderLeaderboard(entries) { const body = document.getElementById('leaderboard-body'); body.textContent = ''; if (!entries.length) { const row = body.insertRow(); const cell = row.insertCell(); cell.colSpan = 7; cell.className = 'room-empty'; cell.textContent = 'Пока никого нет'; return; } const ownId = myProfileId; entries.forEach(entry => { const row = body.insertRow(); if (entry.id === ownId) row.className = 'me'; [entry.rank, entry.name, entry.kills, entry.deaths, entry.kd.toFixed(2), entry.bestStreak, entry.matches].forEach(value => { row.insertCell().textContent = value; }); }); }
+        function computeProfileId() { if (!crypto.subtle) return Promise.resolve(null); return crypto.subtle.digest('SHA-256', new TextEncoder().encode(getProfileKey())).then(digest => Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('')); }
+        function loadRooms() { fetch('/api/rooms').then(r => r.json()).then(data => renderRoomList(data.rooms || [])).catch(() => showLobbyError('Не удалось загрузить список комнат')); }
+        function renderRoomList(rooms) { const list = document.getElementById('room-list'); list.textContent = ''; if (!rooms.length) { const empty = document.createElement('div'); empty.className = 'room-empty'; empty.textContent = 'Нет открытых комнат'; list.appendChild(empty); return; } rooms.forEach(room => { const row = document.createElement('div'); row.className = 'room-row'; const title = document.createElement('span'); title.textContent = room.name + ' · ' + room.code + ' · ' + (GAME_MODES[room.mode] || GAME_MODES.ffa).name; const count = document.createElement('span'); count.textContent = room.players + '/' + room.maxPlayers; const btn = document.createElement('button'); btn.className = 'lobby-btn'; btn.disabled = room.players >= room.maxPlayers; btn.textContent = btn.disabled ? 'Полная' : 'Войти'; btn.addEventListener('click', () => startGame(room.code)); const watch = document.createElement('button'); watch.className = 'lobby-btn'; watch.textContent = '👁'; watch.title = 'Смотреть'; watch.addEventListener('click', () => spectateRoom(room.code)); row.append(title, count, btn, watch); list.appendChild(row); }); }
+        function createRoom() { const body = { name: document.getElementById('room-name-input').value, maxPlayers: Number(document.getElementById('room-size-input').value), isPrivate: document.getElementById('room-private-input').checked, mode: document.getElementById('room-mode-input').value, map: document.getElementById('room-map-input').value, bots: Number(document.getElementById('room-bots-input').value), botDifficulty: document.getElementById('room-bot-difficulty-input').value, timeLimit: Number(document.getElementById('room-time-input').value), scoreLimit: Number(document.getElementById('room-score-input').value) || undefined }; fetch('/api/rooms', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then(r => r.ok ? r.json() : Promise.reject()).then(room => startGame(room.code)).catch(() => showLobbyError('Не удалось создать комнату')); }
+        function joinByCode() { const code = document.getElementById('room-code-input').value.trim().toUpperCase(); if (!/^[A-Z0-9]{4,8}$/.test(code)) { showLobbyError('Неверный код комнаты'); return; } startGame(code); }
+        function showLobbyError(text) { document.getElementById('lobby-error').textContent = text; }
+        function showLobby(error) { gameStarted = false; if (currentRoom && !spectating) sessionStorage.removeItem('resume:' + currentRoom); if (ws) { if (ws.readyState === WebSocket.OPEN && !spectating) ws.send(JSON.stringify({ type: 'leave' })); ws.onclose = null; ws.close(); ws = null; } playerId = null; myShip = null; players = {}; bullets = []; match = null; flags = []; pickups = []; chargeStart = null; document.getElementById('match-results').style.display = 'none'; document.getElementById('respawn-overlay').style.display = 'none'; spectating = false; replay = null; document.body.classList.remove('spectating'); document.getElementById('spectator-bar').style.display = 'none'; document.getElementById('start-screen').style.display = 'flex'; showLobbyError(error || ''); loadRooms(); loadLeaderboard(); loadReplays(); }
+        function copyRoomLink() { if (!currentRoom || !navigator.clipboard) return; navigator.clipboard.writeText(location.origin + '/?room=' + currentRoom); }
+        function setMatch(info) { match = info; matchDeadline = info.endsIn === null ? null : matchClock() + info.endsIn; document.getElementById('match-mode').textContent = GAME_MODES[info.mode].name; const teams = document.getElementById('match-teams'); teams.textContent = ''; if (GAME_MODES[info.mode].teams) teams.append(coloredText(info.teamScores[1], TEAMS[1].color), document.createTextNode(' : '), coloredText(info.teamScores[2], TEAMS[2].color)); renderMatchResults(); updateMatchBar(); }
+        function updateMatchBar() { if (!match) return; document.getElementById('match-phase').textContent = PHASE_LABELS[match.phase]; const left = matchDeadline === null ? null : Math.max(0, Math.ceil((matchDeadline - matchClock()) / 1000)); document.getElementById('match-timer').textContent = left === null ? '' : formatClock(left); document.getElementById('respawn-overlay').style.display = myShip && myShip.dead ? 'block' : 'none'; }
+        function matchClock() { return replay ? replay.clock : performance.now(); }
+        function formatClock(seconds) { return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0'); }
+        function renderMatchResults() { const panel = document.getElementById('match-results'); const results = match && match.phase === 'round_end' ? match.results : null; panel.style.display = results ? 'block' : 'none'; if (!results) return; const title = document.createElement('h2'); const winner = results.winner; if (!winner) title.textContent = 'Ничья'; else if (winner.team) title.append(coloredText(TEAMS[winner.team].name, TEAMS[winner.team].color), document.createTextNode(' побеждают!')); else title.append(coloredText(winner.name, '#ff0'), document.createTextNode(' побеждает!')); const table = document.createElement('table'); results.standings.forEach((entry, i) => { const row = table.insertRow(); if (entry.id === playerId) row.style.color = '#ff0'; else if (entry.team) row.style.color = TEAMS[entry.team].color; [(i + 1) + '.', (entry.bot ? BOT_TAG : '') + entry.name, entry.score, entry.kills + '/' + entry.deaths].forEach(value => { row.insertCell().textContent = value; }); }); panel.replaceChildren(title, table); }
+        function coloredText(text, color) { const span = document.createElement('span'); span.style.color = color; span.textContent = text; return span; }
+        function addKillMessage(killer, victim, weapon) { const feed = document.getElementById('kill-feed'); const msg = document.createElement('div'); msg.className = 'kill-msg'; msg.append(coloredText(killer, '#0f0'), document.createTextNode(' уничтожил '), coloredText(victim, '#f00')); if (WEAPONS[weapon]) msg.append(document.createTextNode(' · '), coloredText(WEAPONS[weapon].name, WEAPONS[weapon].color)); feed.appendChild(msg); setTimeout(() => msg.remove(), 4000); }
+        function showAnnouncement(text) { const el = document.getElementById('announcement'); el.textContent = '📢 ' + text; el.style.display = 'block'; clearTimeout(announcementTimer); announcementTimer = setTimeout(() => el.style.display = 'none', 8000); }
+        function addFlagMessage(event) { const team = TEAMS[event.team]; const actions = { taken: ' захватил флаг: ', dropped: ' потерял флаг: ', returned: ' вернул флаг: ', captured: ' доставил флаг: ' }; const feed = document.getElementById('kill-feed'); const msg = document.createElement('div'); msg.className = 'kill-msg'; if (event.player) msg.append(coloredText(event.player, '#0ff'), document.createTextNode(actions[event.kind])); else msg.append(document.createTextNode('Флаг вернулся на базу: ')); msg.append(coloredText(team.name, team.color)); feed.appendChild(msg); setTimeout(() => msg.remove(), 4000); }
         function createExplosion(x, y) { for (let i = 0; i < 30; i++) explosions.push({ x, y, vx: (Math.random() - 0.5) * 10, vy: (Math.random() - 0.5) * 10, life: 60, color: ['#ff0', '#f80', '#f00', '#fff'][Math.floor(Math.random() * 4)], size: Math.random() * 5 + 2 }); }
         function createSmallExplosion(x, y) { for (let i = 0; i < 10; i++) explosions.push({ x, y, vx: (Math.random() - 0.5) * 5, vy: (Math.random() - 0.5) * 5, life: 20, color: '#ff0', size: Math.random() * 3 + 1 }); }
-        function updateScoreboard() { const sorted = Object.values(players).sort((a, b) => b.score - a.score).slice(0, 5); let html = '<h3 style="margin-bottom:10px">🏆 Таблица лидеров</h3>'; sorted.forEach((p, i) => { html += '<div style="color:' + (p.id === playerId ? '#0ff' : '#0f0') + '">' + (i+1) + '. ' + p.name + ': ' + p.score + '</div>'; }); document.getElementById('scoreboard').innerHTML = html; }
-        function sendInput() { if (!ws || ws.readyState !== WebSocket.OPEN || !myShip) return; ws.send(JSON.stringify({ type: 'input', keys: { up: keys['w'] || keys['ц'], down: keys['s'] || keys['ы'], left: keys['a'] || keys['ф'], right: keys['d'] || keys['в'], boost: keys[' '] }, angle: Math.atan2(mousePos.y - canvas.height/2, mousePos.x - canvas.width/2) })); }
-        function shoot() { const now = Date.now(); if (now - lastShot < SHOOT_COOLDOWN) return; lastShot = now; if (ws && ws.readyState === WebSocket.OPEN) { ws.send(JSON.stringify({ type: 'shoot' })); } else if (myShip) { const angle = Math.atan2(mousePos.y - canvas.height/2, mousePos.x - canvas.width/2); bullets.push({ x: myShip.x + Math.cos(angle) * 30, y: myShip.y + Math.sin(angle) * 30, vx: Math.cos(angle) * 15, vy: Math.sin(angle) * 15, owner: playerId, life: 60 }); } }
-        function drawShip(player) { ctx.save(); ctx.translate(player.x - (myShip ? myShip.x - canvas.width/2 : 0), player.y - (myShip ? myShip.y - canvas.height/2 : 0)); ctx.rotate(player.angle); ctx.shadowColor = player.color; ctx.shadowBlur = 20; ctx.beginPath(); ctx.moveTo(25, 0); ctx.lineTo(-15, -15); ctx.lineTo(-10, 0); ctx.lineTo(-15, 15); ctx.closePath(); ctx.fillStyle = player.color; ctx.fill(); ctx.strokeStyle = '#fff'; ctx.lineWidth = 2; ctx.stroke(); if (player.thrust) { ctx.beginPath(); ctx.moveTo(-10, -5); ctx.lineTo(-25 - Math.random() * 10, 0); ctx.lineTo(-10, 5); ctx.fillStyle = '#f80'; ctx.fill(); } ctx.restore(); ctx.save(); ctx.font = '12px Arial'; ctx.fillStyle = player.color; ctx.textAlign = 'center'; ctx.shadowColor = player.color; ctx.shadowBlur = 10; const sx = player.x - (myShip ? myShip.x - canvas.width/2 : 0), sy = player.y - (myShip ? myShip.y - canvas.height/2 : 0); ctx.fillText(player.name, sx, sy - 35); ctx.fillStyle = '#300'; ctx.fillRect(sx - 25, sy - 30, 50, 5); ctx.fillStyle = player.health > 30 ? '#0f0' : '#f00'; ctx.fillRect(sx - 25, sy - 30, player.health / 2, 5); ctx.restore(); }
-        function drawBullet(b) { const sx = b.x - (myShip ? myShip.x - canvas.width/2 : 0), sy = b.y - (myShip ? myShip.y - canvas.height/2 : 0); ctx.save(); ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fillStyle = '#ff0'; ctx.shadowColor = '#ff0'; ctx.shadowBlur = 15; ctx.fill(); ctx.restore(); }
-        function drawStars() { stars.forEach(s => { const sx = s.x - (myShip ? myShip.x - canvas.width/2 : 0) * 0.5, sy = s.y - (myShip ? myShip.y - canvas.height/2 : 0) * 0.5; ctx.beginPath(); ctx.arc(sx, sy, s.size, 0, Math.PI * 2); ctx.fillStyle = 'rgba(255,255,255,' + (0.3 + s.brightness * 0.7) + ')'; ctx.fill(); }); }
-        function updateExplosions() { explosions.forEach((e, i) => { e.x += e.vx; e.y += e.vy; e.life--; e.vx *= 0.95; e.vy *= 0.95; if (e.life <= 0) { explosions.splice(i, 1); return; } const sx = e.x - (myShip ? myShip.x - canvas.width/2 : 0), sy = e.y - (myShip ? myShip.y - canvas.height/2 : 0); ctx.beginPath(); ctx.arc(sx, sy, e.size * (e.life / 60), 0, Math.PI * 2); ctx.fillStyle = e.color; ctx.globalAlpha = e.life / 60; ctx.fill(); ctx.globalAlpha = 1; }); }
-        function offlineUpdate() { if (!myShip || (ws && ws.readyState === WebSocket.OPEN)) return; const angle = Math.atan2(mousePos.y - canvas.height/2, mousePos.x - canvas.width/2); myShip.angle = angle; const thrust = 0.3; if (keys['w'] || keys['ц']) { myShip.vy -= thrust; myShip.thrust = true; } else if (keys['s'] || keys['ы']) { myShip.vy += thrust; } else { myShip.thrust = false; } if (keys['a'] || keys['ф']) myShip.vx -= thrust; if (keys['d'] || keys['в']) myShip.vx += thrust; if (keys[' ']) { myShip.vx += Math.cos(angle) * 0.5; myShip.vy += Math.sin(angle) * 0.5; myShip.thrust = true; } myShip.vx *= 0.98; myShip.vy *= 0.98; myShip.x += myShip.vx; myShip.y += myShip.vy; players[playerId] = myShip; bullets.forEach((b, i) => { b.x += b.vx; b.y += b.vy; b.life--; if (b.life <= 0) bullets.splice(i, 1); }); }
-        function gameLoop() { if (!gameStarted) { requestAnimationFrame(gameLoop); return; } ctx.fillStyle = '#0a0a15'; ctx.fillRect(0, 0, canvas.width, canvas.height); drawStars(); offlineUpdate(); bullets.forEach(drawBullet); Object.values(players).forEach(p => drawShip(p)); updateExplosions(); sendInput(); requestAnimationFrame(gameLoop); }
-        document.addEventListener('keydown', e => keys[e.key.toLowerCase()] = true);
-        document.addEventListener('keyup', e => keys[e.key.toLowerCase()] = false);
-        document.addEventListener('mousemove', e => { mousePos.x = e.clientX; mousePos.y = e.clientY; });
-        document.addEventListener('mousedown', e => { if (e.button === 0 && gameStarted) shoot(); });
-        document.getElementById('start-btn').addEventListener('click', startGame);
-        document.getElementById('name-input').addEventListener('keypress', e => { if (e.key === 'Enter') startGame(); });
-        function startGame() { playerName = document.getElementById('name-input').value || 'Пилот'; document.getElementById('player-name').textContent = playerName; document.getElementById('start-screen').style.display = 'none'; gameStarted = true; connect(); }
+        function updateScoreboard() { const sorted = Object.values(players).sort((a, b) => b.score - a.score).slice(0, 5); const board = document.getElementById('scoreboard'); const title = document.createElement('h3'); title.style.marginBottom = '10px'; title.textContent = '🏆 Таблица лидеров'; board.replaceChildren(title); sorted.forEach((p, i) => { const row = document.createElement('div'); row.style.color = p.id === playerId ? '#0ff' : (TEAMS[p.team] ? TEAMS[p.team].color : '#0f0'); row.textContent = (i+1) + '. ' + (p.bot ? BOT_TAG : '') + p.name + ': ' + p.score; board.appendChild(row); }); }
+        function readInput() { const pressed = action => !!keys[bindings[action]], input = { keys: { up: pressed('up'), down: pressed('down'), left: pressed('left'), right: pressed('right'), boost: pressed('boost') || pad.boost || touchBoost }, angle: aim.stick ? aim.angle : Math.atan2(mousePos.y - canvas.height/2, mousePos.x - canvas.width/2) }; const x = (sticks.move ? sticks.move.x : 0) + pad.x, y = (sticks.move ? sticks.move.y : 0) + pad.y, axis = v => Math.round(Math.max(-1, Math.min(1, v)) * 100) / 100; if (x || y) input.move = { x: axis(x), y: axis(y) }; return input; }
+        function loadBindings() { const result = Object.assign({}, DEFAULT_BINDINGS); try { const saved = JSON.parse(localStorage.getItem('bindings') || '{}'); Object.keys(DEFAULT_BINDINGS).forEach(action => { if (typeof saved[action] === 'string') result[action] = saved[action]; }); } catch (e) { localStorage.removeItem('bindings'); } return result; }
+        function keyLabel(code) { return KEY_LABELS[code] || code.replace(/^(Key|Digit)/, ''); }
+        function renderBindings() { const list = document.getElementById('binding-list'); list.textContent = ''; Object.keys(CONTROL_ACTIONS).forEach(action => { const row = document.createElement('div'), button = document.createElement('button'); row.className = 'binding-row'; button.className = 'lobby-btn' + (rebinding === action ? ' waiting' : ''); button.textContent = rebinding === action ? 'Нажмите клавишу...' : keyLabel(bindings[action]); button.addEventListener('click', () => { rebinding = action; renderBindings(); }); row.append(document.createTextNode(CONTROL_ACTIONS[action]), button); list.appendChild(row); }); document.getElementById('move-keys').textContent = [bindings.up, bindings.left, bindings.down, bindings.right].map(keyLabel).join(''); document.getElementById('boost-key').textContent = keyLabel(bindings.boost); }
+        function bindKey(code) { const action = rebinding; rebinding = null; if (code !== 'Escape') { const taken = Object.keys(bindings).find(other => bindings[other] === code); if (taken) bindings[taken] = bindings[action]; bindings[action] = code; localStorage.setItem('bindings', JSON.stringify(bindings)); } renderBindings(); }
+        function resetBindings() { bindings = Object.assign({}, DEFAULT_BINDINGS); rebinding = null; localStorage.removeItem('bindings'); renderBindings(); }
+        function toggleControlsPanel(open) { rebinding = null; keys = {}; document.getElementById('controls-panel').style.display = open ? 'block' : 'none'; if (open) renderBindings(); }
+        function pressFire() { if (!gameStarted || spectating) return; if (WEAPONS[loadout.weapon].chargeMs) chargeStart = Date.now(); else shoot(); }
+        function releaseFire() { if (chargeStart === null) return; const charge = Date.now() - chargeStart; chargeStart = null; shoot(charge); }
+        function updateHeldFire() { if ((touchFire || pad.fire) && gameStarted && !spectating && !WEAPONS[loadout.weapon].chargeMs) shoot(); }
+        function cycleWeapon(step) { if (!gameStarted || spectating) return; const owned = WEAPON_TYPES.filter(type => WEAPONS[type].ammo === null || loadout.arsenal[type]), index = owned.indexOf(loadout.weapon); selectWeapon(owned[(index + step + owned.length) % owned.length]); }
+        function pollGamepad() { const gamepad = navigator.getGamepads ? Array.from(navigator.getGamepads()).find(g => g && g.connected) : null; if (!gamepad) { if (pad.fire) releaseFire(); pad.x = pad.y = 0; pad.boost = pad.fire = pad.next = false; return; } const axis = i => Math.abs(gamepad.axes[i] || 0) < PAD_DEADZONE ? 0 : gamepad.axes[i], button = i => !!(gamepad.buttons[i] && gamepad.buttons[i].pressed), rx = axis(2), ry = axis(3), fire = button(0) || button(7), next = button(3) || button(5); pad.x = axis(0); pad.y = axis(1); pad.boost = button(4) || button(6); if (Math.hypot(rx, ry) > PAD_AIM_THRESHOLD) aim = { angle: Math.atan2(ry, rx), stick: true }; if (fire && !pad.fire) pressFire(); if (!fire && pad.fire) releaseFire(); if (next && !pad.next) cycleWeapon(1); pad.fire = fire; pad.next = next; }
+        function bindStick(id, name) { const el = document.getElementById(id), knob = el.firstElementChild; const update = e => { const rect = el.getBoundingClientRect(); let dx = (e.clientX - rect.left - rect.width / 2) / STICK_RADIUS, dy = (e.clientY - rect.top - rect.height / 2) / STICK_RADIUS; const length = Math.hypot(dx, dy); if (length > 1) { dx /= length; dy /= length; } knob.style.transform = 'translate(' + dx * STICK_RADIUS + 'px, ' + dy * STICK_RADIUS + 'px)'; sticks[name] = length < STICK_DEADZONE ? { x: 0, y: 0 } : { x: dx, y: dy }; if (name === 'aim' && length >= STICK_DEADZONE) aim = { angle: Math.atan2(dy, dx), stick: true }; }; const release = () => { sticks[name] = null; knob.style.transform = ''; }; el.addEventListener('pointerdown', e => { e.preventDefault(); el.setPointerCapture(e.pointerId); update(e); }); el.addEventListener('pointermove', e => { if (el.hasPointerCapture(e.pointerId)) update(e); }); el.addEventListener('pointerup', release); el.addEventListener('pointercancel', release); }
+        function bindTouchButton(id, press, release) { const el = document.getElementById(id); el.addEventListener('pointerdown', e => { e.preventDefault(); el.setPointerCapture(e.pointerId); press(); }); if (!release) return; el.addEventListener('pointerup', release); el.addEventListener('pointercancel', release); }
+        function sendInput() { if (!ws || ws.readyState !== WebSocket.OPEN) return; if (spectating) { if (lastSnapshotSeq) ws.send(JSON.stringify({ type: 'ack', seq: lastSnapshotSeq })); return; } if (!predicted) return; const input = readInput(); input.seq = ++inputSeq; pendingInputs.push(input); if (pendingInputs.length > 120) pendingInputs.shift(); stepShip(predicted, input, physics); ws.send(JSON.stringify(Object.assign({ type: 'input', ack: lastSnapshotSeq }, input))); }
+        function shoot(charge) { const now = Date.now(); if (now - lastShot < (WEAPONS[loadout.weapon] || WEAPONS.blaster).cooldown) return; lastShot = now; if (ws && ws.readyState === WebSocket.OPEN) { ws.send(JSON.stringify(charge === undefined ? { type: 'shoot' } : { type: 'shoot', charge: Math.min(60000, Math.round(charge)) })); } else if (myShip) { const angle = readInput().angle; bullets.push({ x: myShip.x + Math.cos(angle) * 30, y: myShip.y + Math.sin(angle) * 30, vx: Math.cos(angle) * 15, vy: Math.sin(angle) * 15, owner: playerId, life: 60 }); } }
+        function drawShip(player) { const pos = toScreen(player.x, player.y), sx = pos.x, sy = pos.y; ctx.save(); ctx.translate(sx, sy); ctx.rotate(player.angle); ctx.shadowColor = player.color; ctx.shadowBlur = 20; ctx.beginPath(); ctx.moveTo(25, 0); ctx.lineTo(-15, -15); ctx.lineTo(-10, 0); ctx.lineTo(-15, 15); ctx.closePath(); ctx.fillStyle = player.color; ctx.fill(); ctx.strokeStyle = '#fff'; ctx.lineWidth = 2; ctx.stroke(); if (player.shield > 0) { ctx.beginPath(); ctx.arc(0, 0, 32, 0, Math.PI * 2); ctx.strokeStyle = 'rgba(68,136,255,' + (0.3 + player.shield / PICKUPS.shield.shield * 0.5) + ')'; ctx.lineWidth = 3; ctx.stroke(); } if (player.thrust) { ctx.beginPath(); ctx.moveTo(-10, -5); ctx.lineTo(-25 - Math.random() * 10, 0); ctx.lineTo(-10, 5); ctx.fillStyle = '#f80'; ctx.fill(); } ctx.restore(); ctx.save(); ctx.font = '12px Arial'; ctx.fillStyle = player.color; ctx.textAlign = 'center'; ctx.shadowColor = player.color; ctx.shadowBlur = 10; ctx.fillText((player.bot ? BOT_TAG : '') + player.name, sx, sy - 35); ctx.fillStyle = '#300'; ctx.fillRect(sx - 25, sy - 30, 50, 5); ctx.fillStyle = player.health > 30 ? '#0f0' : '#f00'; ctx.fillRect(sx - 25, sy - 30, player.health / 2, 5); ctx.restore(); }
+        function drawBullet(b) { const pos = toScreen(b.x, b.y), sx = pos.x, sy = pos.y; const weapon = WEAPONS[b.weapon] || WEAPONS.blaster; ctx.save(); ctx.fillStyle = weapon.color; ctx.strokeStyle = weapon.color; ctx.shadowColor = weapon.color; ctx.shadowBlur = 15; switch (weapon.kind) { case 'laser': ctx.lineWidth = 3; ctx.beginPath(); ctx.moveTo(sx - b.vx * 1.5, sy - b.vy * 1.5); ctx.lineTo(sx, sy); ctx.stroke(); break; case 'missile': ctx.translate(sx, sy); ctx.rotate(Math.atan2(b.vy, b.vx)); ctx.beginPath(); ctx.moveTo(10, 0); ctx.lineTo(-6, -4); ctx.lineTo(-6, 4); ctx.closePath(); ctx.fill(); ctx.fillStyle = '#f80'; ctx.beginPath(); ctx.moveTo(-6, -2); ctx.lineTo(-12 - Math.random() * 6, 0); ctx.lineTo(-6, 2); ctx.fill(); break; case 'mine': { const pulse = 0.5 + Math.sin(performance.now() / 150) * 0.5; ctx.beginPath(); ctx.arc(sx, sy, 7, 0, Math.PI * 2); ctx.fill(); ctx.globalAlpha = 0.3 + pulse * 0.4; ctx.lineWidth = 2; ctx.beginPath(); ctx.arc(sx, sy, 12 + pulse * 4, 0, Math.PI * 2); ctx.stroke(); break; } default: ctx.beginPath(); ctx.arc(sx, sy, b.weapon === 'spread' ? 3 : 4, 0, Math.PI * 2); ctx.fill(); } ctx.restore(); }
+        function drawPickups() { const pulse = Math.sin(performance.now() / 300) * 3; pickups.forEach(pickup => { const type = PICKUPS[pickup.type], pos = toScreen(pickup.x, pickup.y), sx = pos.x, sy = pos.y; ctx.save(); ctx.beginPath(); ctx.arc(sx, sy, 14 + pulse, 0, Math.PI * 2); ctx.strokeStyle = type.color; ctx.shadowColor = type.color; ctx.shadowBlur = 15; ctx.lineWidth = 2; ctx.stroke(); ctx.font = 'bold 14px Arial'; ctx.fillStyle = type.color; ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; ctx.fillText(type.icon, sx, sy); ctx.restore(); }); }
+        function drawCharge() { if (chargeStart === null || !myShip) return; const weapon = WEAPONS[loadout.weapon], progress = Math.min(1, (Date.now() - chargeStart) / weapon.chargeMs); ctx.save(); ctx.beginPath(); ctx.arc(canvas.width / 2, canvas.height / 2, 40, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2); ctx.strokeStyle = weapon.color; ctx.lineWidth = 3; ctx.stroke(); ctx.restore(); }
+        function drawFlags(view) { flags.forEach(flag => { const color = TEAMS[flag.team].color, base = toScreen(flag.base.x, flag.base.y); ctx.save(); ctx.beginPath(); ctx.arc(base.x, base.y, 30, 0, Math.PI * 2); ctx.strokeStyle = color; ctx.globalAlpha = 0.5; ctx.lineWidth = 3; ctx.stroke(); ctx.restore(); let pos = flag; if (flag.carrier) { const carrier = flag.carrier === playerId ? myShip : view.players.find(p => p.id === flag.carrier); if (carrier) pos = carrier; } const screen = toScreen(pos.x, pos.y), sx = screen.x, sy = screen.y; ctx.save(); ctx.strokeStyle = '#fff'; ctx.lineWidth = 2; ctx.beginPath(); ctx.moveTo(sx, sy + 12); ctx.lineTo(sx, sy - 22); ctx.stroke(); ctx.beginPath(); ctx.moveTo(sx, sy - 22); ctx.lineTo(sx + 18, sy - 16); ctx.lineTo(sx, sy - 10); ctx.closePath(); ctx.fillStyle = color; ctx.shadowColor = color; ctx.shadowBlur = 15; ctx.fill(); ctx.restore(); }); }
+        function toScreen(x, y) { if (camera.x === null) return { x, y }; return { x: wrapDelta(x - camera.x, physics) + canvas.width / 2, y: wrapDelta(y - camera.y, physics) + canvas.height / 2 }; }
+        function updateCamera(view) { if (!spectating) { if (myShip) { camera.x = myShip.x; camera.y = myShip.y; } return; } if (camera.x === null) { if (!mapInfo) return; camera.x = camera.y = mapInfo.size / 2; } const input = readInput(), analog = input.move || { x: 0, y: 0 }, dx = Math.max(-1, Math.min(1, (input.keys.right ? 1 : 0) - (input.keys.left ? 1 : 0) + analog.x)), dy = Math.max(-1, Math.min(1, (input.keys.down ? 1 : 0) - (input.keys.up ? 1 : 0) + analog.y)); if (dx || dy) camera.follow = null; const target = camera.follow && view.players.find(p => p.id === camera.follow); if (target) { camera.x = target.x; camera.y = target.y; return; } if (camera.follow && !players[camera.follow]) camera.follow = null; const speed = keys.ShiftLeft || keys.ShiftRight ? 30 : 12, size = physics.worldSize; camera.x += dx * speed; camera.y += dy * speed; if (physics.wrap) { camera.x = (camera.x % size + size) % size; camera.y = (camera.y % size + size) % size; } else { camera.x = Math.max(0, Math.min(size, camera.x)); camera.y = Math.max(0, Math.min(size, camera.y)); } }
+        function cycleFollow(step) { const list = Object.values(players).sort((a, b) => a.nid - b.nid); if (!list.length) return; const index = list.findIndex(p => p.id === camera.follow); camera.follow = list[index < 0 ? (step > 0 ? 0 : list.length - 1) : (index + step + list.length) % list.length].id; }
+        function updateSpectatorBar() { if (!spectating) return; const target = camera.follow && players[camera.follow]; document.getElementById('spectator-camera').textContent = target ? 'Камера: ' + (target.bot ? BOT_TAG : '') + target.name + ' (F - свободная)' : 'Свободная камера (Q/E - следить за игроком)'; if (!replay) return; document.getElementById('replay-play-btn').textContent = replay.paused ? '▶' : '⏸'; document.getElementById('replay-time').textContent = formatClock(Math.floor((replay.clock - replay.start) / 1000)) + ' / ' + formatClock(Math.floor((replay.end - replay.start) / 1000)); if (!replayDragging) document.getElementById('replay-seek').value = Math.round((replay.clock - replay.start) / Math.max(1, replay.end - replay.start) * 1000); }
+        function drawAsteroids(view) { if (!mapInfo) return; mapInfo.asteroids.concat(view.asteroids).forEach(a => { const pos = toScreen(a.x, a.y); if (pos.x < -a.r || pos.y < -a.r || pos.x > canvas.width + a.r || pos.y > canvas.height + a.r) return; ctx.save(); ctx.beginPath(); ctx.arc(pos.x, pos.y, a.r, 0, Math.PI * 2); const gradient = ctx.createRadialGradient(pos.x - a.r * 0.3, pos.y - a.r * 0.3, a.r * 0.1, pos.x, pos.y, a.r); gradient.addColorStop(0, '#776'); gradient.addColorStop(1, '#332'); ctx.fillStyle = gradient; ctx.fill(); ctx.strokeStyle = '#998'; ctx.lineWidth = 2; ctx.stroke(); ctx.restore(); }); }
+        function drawWorldBorder() { if (!mapInfo || mapInfo.wrap || camera.x === null) return; const corner = toScreen(0, 0); ctx.save(); ctx.strokeStyle = 'rgba(255,60,60,0.6)'; ctx.lineWidth = 4; ctx.setLineDash([20, 10]); ctx.strokeRect(corner.x, corner.y, mapInfo.size, mapInfo.size); ctx.restore(); }
+        function drawMinimap(view) { const mini = document.getElementById('minimap'), mctx = mini.getContext('2d'); mctx.clearRect(0, 0, mini.width, mini.height); if (!mapInfo) return; const scale = mini.width / mapInfo.size, dot = (x, y, r, color) => { mctx.beginPath(); mctx.arc(x * scale, y * scale, r, 0, Math.PI * 2); mctx.fillStyle = color; mctx.fill(); }; mapInfo.asteroids.concat(view.asteroids).forEach(a => dot(a.x, a.y, Math.max(1.5, a.r * scale), '#665')); pickups.forEach(p => dot(p.x, p.y, 1.5, PICKUPS[p.type].color)); flags.forEach(f => dot(f.x, f.y, 3, TEAMS[f.team].color)); view.players.forEach(p => { if (p.id !== playerId && !p.dead) dot(p.x, p.y, 2, p.color); }); if (myShip && !myShip.dead) dot(myShip.x, myShip.y, 3, '#fff'); if (spectating && camera.x !== null) { mctx.strokeStyle = '#fff'; mctx.strokeRect((camera.x - canvas.width / 2) * scale, (camera.y - canvas.height / 2) * scale, canvas.width * scale, canvas.height * scale); } }
+        function drawStars() { const camX = (camera.x || 0) * 0.5, camY = (camera.y || 0) * 0.5; stars.forEach(s => { const sx = ((s.x * canvas.width - camX) % canvas.width + canvas.width) % canvas.width, sy = ((s.y * canvas.height - camY) % canvas.height + canvas.height) % canvas.height; ctx.beginPath(); ctx.arc(sx, sy, s.size, 0, Math.PI * 2); ctx.fillStyle = 'rgba(255,255,255,' + (0.3 + s.brightness * 0.7) + ')'; ctx.fill(); }); }
+        function updateExplosions() { explosions.forEach((e, i) => { e.x += e.vx; e.y += e.vy; e.life--; e.vx *= 0.95; e.vy *= 0.95; if (e.life <= 0) { explosions.splice(i, 1); return; } const pos = toScreen(e.x, e.y); ctx.beginPath(); ctx.arc(pos.x, pos.y, e.size * (e.life / 60), 0, Math.PI * 2); ctx.fillStyle = e.color; ctx.globalAlpha = e.life / 60; ctx.fill(); ctx.globalAlpha = 1; }); }
+        function offlineUpdate() { if (!myShip || (ws && ws.readyState === WebSocket.OPEN)) return; stepShip(myShip, readInput(), physics); players[playerId] = myShip; bullets.forEach((b, i) => { b.x += b.vx; b.y += b.vy; b.life--; if (b.life <= 0) bullets.splice(i, 1); }); }
+        function updateOwnShip() { if (!predicted || !players[playerId]) return; correction.x *= 0.85; correction.y *= 0.85; myShip = Object.assign({}, players[playerId], predicted, { x: predicted.x + correction.x, y: predicted.y + correction.y }); }
+        function gameLoop() { document.body.classList.toggle('playing', gameStarted); if (!gameStarted) { requestAnimationFrame(gameLoop); return; } ctx.fillStyle = '#0a0a15'; ctx.fillRect(0, 0, canvas.width, canvas.height); pollGamepad(); updateHeldFire(); updateOwnShip(); updateReplay(); offlineUpdate(); const view = interpolatedView(); updateCamera(view); drawStars(); drawWorldBorder(); drawAsteroids(view); drawPickups(); drawFlags(view); view.bullets.forEach(drawBullet); view.players.forEach(p => { if (p.id !== playerId && !p.dead) drawShip(p); }); if (myShip && !myShip.dead) drawShip(myShip); updateExplosions(); drawCharge(); drawMinimap(view); updateMatchBar(); updateSpectatorBar(); requestAnimationFrame(gameLoop); }
+        document.addEventListener('keydown', e => { if (!rebinding) { keys[e.code] = true; return; } e.preventDefault(); e.stopImmediatePropagation(); bindKey(e.code); }, true);
+        document.addEventListener('keyup', e => keys[e.code] = false);
+        document.addEventListener('mousemove', e => { mousePos.x = e.clientX; mousePos.y = e.clientY; aim.stick = false; });
+        document.addEventListener('keydown', e => { const type = WEAPON_TYPES[Number(e.key) - 1]; if (type && gameStarted && !spectating) selectWeapon(type); });
+        document.addEventListener('keydown', e => { if (!gameStarted || !spectating || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return; const key = e.key.toLowerCase(); if (key === 'q' || key === 'й') cycleFollow(-1); if (key === 'e' || key === 'у') cycleFollow(1); if (key === 'f' || key === 'а') camera.follow = null; if (!replay) return; if (key === ' ') { e.preventDefault(); toggleReplayPause(); } if (key === 'arrowleft') seekReplay(replay.clock - REPLAY_SEEK_STEP); if (key === 'arrowright') seekReplay(replay.clock + REPLAY_SEEK_STEP); });
+        document.addEventListener('mousedown', e => { if (e.button === 0 && !e.target.closest('button, #controls-panel')) pressFire(); });
+        document.addEventListener('mouseup', e => { if (e.button === 0) releaseFire(); });
+        window.addEventListener('pointerdown', e => document.body.classList.toggle('touch', e.pointerType === 'touch'), true);
+        bindStick('move-stick', 'move');
+        bindStick('aim-stick', 'aim');
+        bindTouchButton('fire-btn', () => { touchFire = true; pressFire(); }, () => { touchFire = false; releaseFire(); });
+        bindTouchButton('boost-btn', () => touchBoost = true, () => touchBoost = false);
+        bindTouchButton('weapon-btn', () => cycleWeapon(1));
+        document.getElementById('controls-btn').addEventListener('click', () => toggleControlsPanel(true));
+        document.getElementById('ui-controls-btn').addEventListener('click', () => toggleControlsPanel(true));
+        document.getElementById('close-controls-btn').addEventListener('click', () => toggleControlsPanel(false));
+        document.getElementById('reset-bindings-btn').addEventListener('click', resetBindings);
+        document.getElementById('start-btn').addEventListener('click', () => startGame(DEFAULT_ROOM_CODE));
+        document.getElementById('name-input').addEventListener('keypress', e => { if (e.key === 'Enter') startGame(DEFAULT_ROOM_CODE); });
+        document.getElementById('refresh-rooms-btn').addEventListener('click', loadRooms);
+        document.getElementById('create-room-btn').addEventListener('click', createRoom);
+        document.getElementById('join-code-btn').addEventListener('click', joinByCode);
+        document.getElementById('room-code-input').addEventListener('keypress', e => { if (e.key === 'Enter') joinByCode(); });
+        document.getElementById('room-code').addEventListener('click', copyRoomLink);
+        document.getElementById('refresh-replays-btn').addEventListener('click', loadReplays);
+        document.getElementById('spectator-exit-btn').addEventListener('click', () => showLobby());
+        document.getElementById('replay-play-btn').addEventListener('click', toggleReplayPause);
+        document.getElementById('replay-speed').addEventListener('change', e => { if (replay) replay.speed = Number(e.target.value); });
+        document.getElementById('replay-seek').addEventListener('pointerdown', () => { replayDragging = true; });
+        document.getElementById('replay-seek').addEventListener('pointerup', () => { replayDragging = false; });
+        document.getElementById('replay-seek').addEventListener('input', e => { if (replay) seekReplay(replay.start + Number(e.target.value) / 1000 * (replay.end - replay.start)); });
+        function startGame(roomCode) { playerName = document.getElementById('name-input').value || 'Пилот'; currentRoom = roomCode; document.getElementById('player-name').textContent = playerName; document.getElementById('room-code').textContent = roomCode; document.getElementById('start-screen').style.display = 'none'; history.replaceState(null, '', '/?room=' + encodeURIComponent(roomCode)); camera = { x: null, y: null, follow: null }; gameStarted = true; connect(); }
+        function enterSpectator(roomCode, label) { spectating = true; currentRoom = roomCode; camera = { x: null, y: null, follow: null }; document.body.classList.add('spectating'); document.getElementById('player-name').textContent = label; document.getElementById('room-code').textContent = roomCode; document.getElementById('start-screen').style.display = 'none'; document.getElementById('spectator-bar').style.display = 'flex'; document.getElementById('replay-controls').style.display = replay ? 'inline-flex' : 'none'; gameStarted = true; }
+        function spectateRoom(roomCode) { enterSpectator(roomCode, '👁 Зритель'); connect(); }
+        function loadReplays() { fetch('/api/replays').then(r => r.json()).then(data => renderReplayList(data.replays || [])).catch(() => renderReplayList([])); }
+        function renderReplayList(list) { const container = document.getElementById('replay-list'); container.textContent = ''; if (!list.length) { const empty = document.createElement('div'); empty.className = 'room-empty'; empty.textContent = 'Записей пока нет'; container.appendChild(empty); return; } list.forEach(entry => { const row = document.createElement('div'); row.className = 'room-row'; const title = document.createElement('span'); title.textContent = entry.roomName + ' · ' + (GAME_MODES[entry.mode] || GAME_MODES.ffa).name + ' · ' + new Date(entry.endedAt).toLocaleString(); title.title = title.textContent; const length = document.createElement('span'); length.textContent = formatClock(Math.floor(entry.duration / 1000)); const btn = document.createElement('button'); btn.className = 'lobby-btn'; btn.textContent = '▶'; btn.addEventListener('click', () => startReplay(entry.id)); row.append(title, length, btn); container.appendChild(row); }); }
+        function parseReplay(data) { const entries = []; data.chunks.forEach(chunk => { const bytes = Uint8Array.from(atob(chunk.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0)), view = new DataView(bytes.buffer); let offset = 0; while (offset < bytes.length) { const kind = view.getUint8(offset), length = view.getUint32(offset + 1, true), payload = bytes.slice(offset + 5, offset + 5 + length); offset += 5 + length; if (kind === REPLAY_FRAME) { const header = new DataView(payload.buffer); entries.push({ tick: header.getUint32(9, true), keyframe: header.getUint32(5, true) === 0, buffer: payload.buffer }); } else { const event = JSON.parse(new TextDecoder().decode(payload)); entries.push({ tick: event[0], message: event[1] }); } } }); return entries; }
+        function startReplay(id) { fetch('/api/replays/' + id).then(r => r.ok ? r.json() : Promise.reject()).then(data => { replay = { info: data, entries: parseReplay(data), cursor: 0, start: data.startTick * PHYSICS.tickMs, end: data.endTick * PHYSICS.tickMs, clock: 0, speed: Number(document.getElementById('replay-speed').value), paused: false, lastFrame: performance.now() }; enterSpectator(data.room, '📼 ' + data.roomName); seekReplay(replay.start); }).catch(() => showLobbyError('Не удалось загрузить запись')); }
+        function replayMatch(info, time) { return Object.assign({}, info, { endsIn: info.endsIn === null ? null : info.endsIn - (replay.clock - time) }); }
+        function seekReplay(time) { replay.clock = Math.max(replay.start, Math.min(replay.end, time)); explosions = []; resetWorld(Object.assign({}, replay.info.init, { match: replayMatch(replay.info.init.match, replay.start) })); let keyframe = 0; replay.entries.forEach((entry, i) => { if (entry.keyframe && entry.tick * PHYSICS.tickMs <= replay.clock) keyframe = i; }); for (let i = 0; i < keyframe; i++) { if (replay.entries[i].message) applyReplayEntry(replay.entries[i], true); } replay.cursor = keyframe; feedReplay(true); }
+        function feedReplay(quiet) { while (replay.cursor < replay.entries.length && replay.entries[replay.cursor].tick * PHYSICS.tickMs <= replay.clock) applyReplayEntry(replay.entries[replay.cursor++], quiet); }
+        function applyReplayEntry(entry, quiet) { if (entry.buffer) { handleSnapshot(entry.buffer); return; } const message = entry.message; if (message.type === 'match') { setMatch(replayMatch(message.match, entry.tick * PHYSICS.tickMs)); return; } if (quiet && (message.type === 'kill' || message.type === 'hit')) return; if (quiet && message.type === 'flags') { flags = message.flags; return; } handleMessage(message); }
+        function updateReplay() { if (!replay) return; const now = performance.now(); if (!replay.paused) replay.clock = Math.min(replay.end, replay.clock + (now - replay.lastFrame) * replay.speed); replay.lastFrame = now; if (replay.clock >= replay.end) replay.paused = true; feedReplay(false); }
+        function toggleReplayPause() { if (!replay) return; if (replay.paused && replay.clock >= replay.end) seekReplay(replay.start); replay.paused = !replay.paused; }
+        const roomParam = new URLSearchParams(location.search).get('room');
+        if (roomParam) document.getElementById('room-code-input').value = roomParam;
+        document.body.classList.toggle('touch', matchMedia('(pointer: coarse)').matches);
+        renderBindings();
+        loadRooms();
+        loadReplays();
+        computeProfileId().catch(() => null).then(id => { myProfileId = id; loadLeaderboard(); });
         window.addEventListener('resize', () => { canvas.width = window.innerWidth; canvas.height = window.innerHeight; });
+        setInterval(sendInput, PHYSICS.tickMs);
         gameLoop();
     </script>
 </body>